@@ -15,6 +15,9 @@ const frizerjiRouter = require('./routes/frizerji');
 const storitveRouter = require('./routes/storitve');
 const terminiRouter = require('./routes/termini');
 const delovnikiRouter = require('./routes/delovniki');
+const webhookiRouter = require('./routes/webhooki');
+const koledarRouter = require('./routes/koledar');
+const administratorjiRouter = require('./routes/administratorji');
 
 const app = express();
 
@@ -60,6 +63,9 @@ app.use('/frizerji', frizerjiRouter);
 app.use('/storitve', storitveRouter);
 app.use('/termini', terminiRouter);
 app.use('/delovniki', delovnikiRouter);
+app.use('/webhooki', webhookiRouter);
+app.use('/koledar', koledarRouter);
+app.use('/administratorji', administratorjiRouter);
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
@@ -0,0 +1,7 @@
+-- Razširitev statusov termina za sledenje poteku termina
+-- Rezervirano -> V teku -> Opravljeno
+-- Rezervirano -> Neprihod
+-- Rezervirano -> Preklicano
+ALTER TABLE termini
+    MODIFY Status ENUM('Rezervirano', 'V teku', 'Opravljeno', 'Neprihod', 'Preklicano')
+    NOT NULL DEFAULT 'Rezervirano';
@@ -0,0 +1,16 @@
+-- Tedenske predloge delovnega časa frizerja
+-- Vsaka vrstica je en interval na izbran dan v tednu, ki velja v obdobju Velja_od - Velja_do.
+-- Iz predlog se z POST /delovniki/predloge/ustvari ustvarijo vrstice v tabeli delovnik.
+CREATE TABLE delovnik_predloge (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Frizerji_id INT NOT NULL,
+    Dan_v_tednu TINYINT NOT NULL, -- 1 = ponedeljek, ..., 7 = nedelja
+    Zacetek TIME NOT NULL,
+    Konec TIME NOT NULL,
+    Velja_od DATE NOT NULL,
+    Velja_do DATE NULL, -- NULL = velja do preklica
+    CONSTRAINT fk_delovnik_predloge_frizer
+        FOREIGN KEY (Frizerji_id) REFERENCES frizerji (ID) ON DELETE CASCADE,
+    CONSTRAINT chk_delovnik_predloge_dan CHECK (Dan_v_tednu BETWEEN 1 AND 7),
+    CONSTRAINT chk_delovnik_predloge_cas CHECK (Zacetek < Konec)
+);
@@ -0,0 +1,15 @@
+-- Odsotnosti in blokiran čas frizerja (malica, zdravnik, bolniška ...)
+-- Pri razpoložljivosti, predogledu in rezervaciji se upoštevajo enako kot obstoječi termini.
+-- Odsotnost čez cel dan je shranjena kot 00:00:00 - 24:00:00.
+CREATE TABLE odsotnosti (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Frizerji_id INT NOT NULL,
+    Dan DATE NOT NULL,
+    Zacetek TIME NOT NULL,
+    Konec TIME NOT NULL,
+    Razlog VARCHAR(255) NULL,
+    CONSTRAINT fk_odsotnosti_frizer
+        FOREIGN KEY (Frizerji_id) REFERENCES frizerji (ID) ON DELETE CASCADE,
+    CONSTRAINT chk_odsotnosti_cas CHECK (Zacetek < Konec),
+    INDEX idx_odsotnosti_frizer_dan (Frizerji_id, Dan)
+);
@@ -0,0 +1,10 @@
+-- Pravila preklica terminov.
+-- Rok preklica salona je nastavljen z ROK_PREKLICA_UR, storitev ga lahko nadomesti s svojim rokom
+-- (npr. barvanje 48 ur). Za termin velja največji rok med njegovimi storitvami.
+ALTER TABLE storitve
+    ADD COLUMN Rok_preklica_ur INT NULL;
+
+-- Pozni preklic (po roku preklica) je dovoljen, vendar je zabeležen
+ALTER TABLE termini
+    ADD COLUMN Pozen_preklic BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN Cas_preklica DATETIME NULL;
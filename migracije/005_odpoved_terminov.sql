@@ -0,0 +1,22 @@
+-- Preklic termina s strani salona (frizer) z obveznim razlogom.
+-- Preklical pove, kdo je termin preklical; pri preklicu stranke je 'uporabnik'.
+ALTER TABLE termini
+    ADD COLUMN Razlog_preklica VARCHAR(255) NULL,
+    ADD COLUMN Preklical ENUM('uporabnik', 'frizer') NULL;
+
+-- Vrsta obvestil za stranke. Obvestila se tu samo zberejo, pošlje jih ločen proces.
+CREATE TABLE obvestila (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Uporabniki_id INT NOT NULL,
+    Termini_id INT NULL,
+    Vrsta VARCHAR(50) NOT NULL,
+    Podatki JSON NOT NULL,
+    Stanje ENUM('Čaka', 'Poslano', 'Napaka') NOT NULL DEFAULT 'Čaka',
+    Ustvarjeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Poslano DATETIME NULL,
+    CONSTRAINT fk_obvestila_uporabnik
+        FOREIGN KEY (Uporabniki_id) REFERENCES uporabniki (ID) ON DELETE CASCADE,
+    CONSTRAINT fk_obvestila_termin
+        FOREIGN KEY (Termini_id) REFERENCES termini (ID) ON DELETE SET NULL,
+    INDEX idx_obvestila_stanje (Stanje, Ustvarjeno)
+);
@@ -0,0 +1,13 @@
+-- Poslani opomniki za termine. Za vsak termin se opomnik doda v vrsto obvestil samo enkrat,
+-- tudi če se strežnik vmes ponovno zažene.
+CREATE TABLE opomniki (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Termini_id INT NOT NULL,
+    Obvestila_id INT NULL,
+    Ustvarjeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_opomniki_termin UNIQUE (Termini_id),
+    CONSTRAINT fk_opomniki_termin
+        FOREIGN KEY (Termini_id) REFERENCES termini (ID) ON DELETE CASCADE,
+    CONSTRAINT fk_opomniki_obvestilo
+        FOREIGN KEY (Obvestila_id) REFERENCES obvestila (ID) ON DELETE SET NULL
+);
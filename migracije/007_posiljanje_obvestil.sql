@@ -0,0 +1,16 @@
+-- Pošiljanje obvestil iz vrste (outbox).
+-- Obvestilo je namenjeno uporabniku ali frizerju in se pošlje po e-pošti ali SMS.
+-- Neuspešno pošiljanje se ponovi z naraščajočim zamikom (Naslednji_poskus), po zadnjem poskusu ostane v stanju 'Napaka'.
+ALTER TABLE obvestila
+    MODIFY Uporabniki_id INT NULL,
+    ADD COLUMN Frizerji_id INT NULL AFTER Uporabniki_id,
+    ADD COLUMN Kanal ENUM('email', 'sms') NOT NULL DEFAULT 'email' AFTER Vrsta,
+    ADD COLUMN Poskusi INT NOT NULL DEFAULT 0,
+    ADD COLUMN Naslednji_poskus DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN Napaka VARCHAR(500) NULL,
+    ADD CONSTRAINT fk_obvestila_frizer
+        FOREIGN KEY (Frizerji_id) REFERENCES frizerji (ID) ON DELETE CASCADE,
+    ADD CONSTRAINT chk_obvestila_prejemnik
+        CHECK ((Uporabniki_id IS NULL) <> (Frizerji_id IS NULL)),
+    DROP INDEX idx_obvestila_stanje,
+    ADD INDEX idx_obvestila_stanje (Stanje, Naslednji_poskus);
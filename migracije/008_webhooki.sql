@@ -0,0 +1,30 @@
+-- Webhooki za dogodke terminov (termin.ustvarjen, termin.prestavljen, termin.preklican, termin.opravljen).
+-- Dogodki je JSON seznam dogodkov, na katere je webhook naročen.
+CREATE TABLE webhooki (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Url VARCHAR(500) NOT NULL,
+    Skrivnost VARCHAR(128) NOT NULL,
+    Dogodki JSON NOT NULL,
+    Aktiven BOOLEAN NOT NULL DEFAULT TRUE,
+    Ustvarjeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Dnevnik dostav. Dostava se doda v isti transakciji kot sprememba termina in se pošlje v ozadju,
+-- neuspešna dostava se ponovi z naraščajočim zamikom.
+CREATE TABLE webhook_dostave (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Webhooki_id INT NOT NULL,
+    Dogodek VARCHAR(50) NOT NULL,
+    Podatki JSON NOT NULL,
+    Stanje ENUM('Čaka', 'Dostavljeno', 'Napaka') NOT NULL DEFAULT 'Čaka',
+    Poskusi INT NOT NULL DEFAULT 0,
+    Naslednji_poskus DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Zadnji_status INT NULL,
+    Napaka VARCHAR(500) NULL,
+    Ustvarjeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Dostavljeno DATETIME NULL,
+    CONSTRAINT fk_webhook_dostave_webhook
+        FOREIGN KEY (Webhooki_id) REFERENCES webhooki (ID) ON DELETE CASCADE,
+    INDEX idx_webhook_dostave_stanje (Stanje, Naslednji_poskus),
+    INDEX idx_webhook_dostave_webhook (Webhooki_id, Ustvarjeno)
+);
@@ -0,0 +1,14 @@
+-- Zasebni koledarji (.ics) uporabnikov in frizerjev.
+-- Koledar_zeton je del URL-ja koledarja; z novim žetonom stari URL preneha delovati.
+ALTER TABLE uporabniki
+    ADD COLUMN Koledar_zeton CHAR(48) NULL,
+    ADD CONSTRAINT uq_uporabniki_koledar_zeton UNIQUE (Koledar_zeton);
+
+ALTER TABLE frizerji
+    ADD COLUMN Koledar_zeton CHAR(48) NULL,
+    ADD CONSTRAINT uq_frizerji_koledar_zeton UNIQUE (Koledar_zeton);
+
+-- Koledarske aplikacije posodobijo dogodek, ko se poveča SEQUENCE (Verzija) termina.
+ALTER TABLE termini
+    ADD COLUMN Verzija INT NOT NULL DEFAULT 0,
+    ADD COLUMN Posodobljeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
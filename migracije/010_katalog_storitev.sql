@@ -0,0 +1,9 @@
+-- Katalog storitev: kategorija, aktivnost in vrstni red prikaza.
+-- Neaktivne storitve niso prikazane v seznamu (razen s filtrom) in jih ni mogoče rezervirati.
+-- Imena storitev so unikatna; pred migracijo je treba odpraviti morebitne podvojene nazive.
+ALTER TABLE storitve
+    ADD COLUMN Kategorija VARCHAR(100) NULL,
+    ADD COLUMN Aktivna BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN Vrstni_red INT NOT NULL DEFAULT 0,
+    ADD CONSTRAINT uq_storitve_ime UNIQUE (Ime),
+    ADD INDEX idx_storitve_katalog (Aktivna, Kategorija, Vrstni_red);
@@ -0,0 +1,5 @@
+-- Arhiviranje storitev namesto brisanja.
+-- Arhivirana storitev ostane v bazi, da zgodovina terminov ostane popolna,
+-- vendar ni prikazana v katalogu in je ni mogoče rezervirati.
+ALTER TABLE storitve
+    ADD COLUMN Arhivirano DATETIME NULL;
@@ -0,0 +1,15 @@
+-- Cena in trajanje storitve ob rezervaciji.
+-- Termin obdrži dogovorjeno ceno in trajanje, tudi če se storitev v katalogu kasneje spremeni.
+ALTER TABLE termini_storitve
+    ADD COLUMN Cena DECIMAL(10, 2) NULL,
+    ADD COLUMN Trajanje INT NULL;
+
+-- Obstoječi termini dobijo trenutne vrednosti iz kataloga
+UPDATE termini_storitve ts
+JOIN storitve s ON s.ID = ts.Storitve_id
+SET ts.Cena = s.Cena,
+    ts.Trajanje = s.Trajanje;
+
+ALTER TABLE termini_storitve
+    MODIFY Cena DECIMAL(10, 2) NOT NULL,
+    MODIFY Trajanje INT NOT NULL;
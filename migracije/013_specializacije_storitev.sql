@@ -0,0 +1,28 @@
+-- Specializacije frizerjev se s storitvami povezujejo po ID-ju namesto po nazivu,
+-- zato preimenovanje storitve ne spremeni, kateri frizerji jo izvajajo.
+ALTER TABLE specializacija
+    ADD COLUMN Storitve_id INT NULL;
+
+UPDATE specializacija sp
+JOIN storitve s ON s.Ime = sp.Naziv
+SET sp.Storitve_id = s.ID;
+
+-- Specializacije, ki se ne ujemajo z nobeno storitvijo, se izbrišejo.
+-- Pred migracijo jih lahko pregledamo z:
+--   SELECT * FROM specializacija sp WHERE NOT EXISTS (SELECT 1 FROM storitve s WHERE s.Ime = sp.Naziv);
+DELETE FROM specializacija
+WHERE Storitve_id IS NULL;
+
+-- Podvojene specializacije istega frizerja
+DELETE sp1
+FROM specializacija sp1
+JOIN specializacija sp2
+  ON sp2.Frizerji_id = sp1.Frizerji_id
+ AND sp2.Storitve_id = sp1.Storitve_id
+ AND sp2.ID < sp1.ID;
+
+ALTER TABLE specializacija
+    MODIFY Storitve_id INT NOT NULL,
+    DROP COLUMN Naziv,
+    ADD CONSTRAINT fk_specializacija_storitve FOREIGN KEY (Storitve_id) REFERENCES storitve (ID),
+    ADD CONSTRAINT uq_specializacija UNIQUE (Frizerji_id, Storitve_id);
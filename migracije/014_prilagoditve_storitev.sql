@@ -0,0 +1,12 @@
+-- Cena in trajanje storitve pri posameznem frizerju.
+-- Frizer lahko prilagodi samo storitve, ki jih izvaja; prazna vrednost pomeni vrednost iz kataloga.
+-- Ko frizer odstrani specializacijo, se izbriše tudi prilagoditev.
+CREATE TABLE prilagoditve_storitev (
+    Frizerji_id INT NOT NULL,
+    Storitve_id INT NOT NULL,
+    Cena DECIMAL(10, 2) NULL,
+    Trajanje INT NULL,
+    PRIMARY KEY (Frizerji_id, Storitve_id),
+    CONSTRAINT fk_prilagoditve_specializacija FOREIGN KEY (Frizerji_id, Storitve_id)
+        REFERENCES specializacija (Frizerji_id, Storitve_id) ON DELETE CASCADE
+);
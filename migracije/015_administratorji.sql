@@ -0,0 +1,27 @@
+-- Administratorji salona. Račune ustvarimo s skripto scripts/ustvari-admina.js.
+CREATE TABLE administratorji (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Ime VARCHAR(100) NOT NULL,
+    Priimek VARCHAR(100) NOT NULL,
+    Mail VARCHAR(255) NOT NULL,
+    Uporabnisko_ime VARCHAR(100) NOT NULL,
+    Geslo VARCHAR(255) NOT NULL,
+    Aktiven BOOLEAN NOT NULL DEFAULT TRUE,
+    Ustvarjeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_administratorji_uporabnisko_ime UNIQUE (Uporabnisko_ime)
+);
+
+-- Administrator lahko račune uporabnikov in frizerjev deaktivira.
+-- Deaktiviran račun se ne more prijaviti, njegovi tokeni prenehajo veljati,
+-- deaktiviranih frizerjev pa stranke ne morejo rezervirati.
+ALTER TABLE uporabniki
+    ADD COLUMN Aktiven BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN Deaktivirano DATETIME NULL;
+
+ALTER TABLE frizerji
+    ADD COLUMN Aktiven BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN Deaktivirano DATETIME NULL;
+
+-- Administrator lahko prekliče termine kateregakoli frizerja (/termini/odpoved)
+ALTER TABLE termini
+    MODIFY COLUMN Preklical ENUM('uporabnik', 'frizer', 'admin') NULL;
@@ -0,0 +1,18 @@
+-- Vabila za registracijo frizerjev. Frizerja je mogoče registrirati samo z veljavnim vabilom,
+-- ki ga ustvari administrator. Vabilo je enkratno in poteče; shranjen je samo hash žetona.
+-- Obstoječi frizerji ostanejo nespremenjeni.
+CREATE TABLE vabila (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Zeton_hash CHAR(64) NOT NULL,
+    Mail VARCHAR(255) NOT NULL,
+    Administratorji_id INT NOT NULL,
+    Ustvarjeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Potece DATETIME NOT NULL,
+    Porabljeno DATETIME NULL,
+    Frizerji_id INT NULL,
+    CONSTRAINT uq_vabila_zeton UNIQUE (Zeton_hash),
+    CONSTRAINT fk_vabila_administrator
+        FOREIGN KEY (Administratorji_id) REFERENCES administratorji (ID),
+    CONSTRAINT fk_vabila_frizer
+        FOREIGN KEY (Frizerji_id) REFERENCES frizerji (ID) ON DELETE SET NULL
+);
@@ -0,0 +1,25 @@
+-- Sprememba in ponastavitev gesla.
+-- Verzija_zetona je zapisana v vsakem izdanem JWT; ob novem geslu se poveča,
+-- zato vsi prej izdani tokeni računa prenehajo veljati.
+ALTER TABLE uporabniki
+    ADD COLUMN Verzija_zetona INT NOT NULL DEFAULT 0;
+
+ALTER TABLE frizerji
+    ADD COLUMN Verzija_zetona INT NOT NULL DEFAULT 0;
+
+ALTER TABLE administratorji
+    ADD COLUMN Verzija_zetona INT NOT NULL DEFAULT 0;
+
+-- Zahteve za ponastavitev pozabljenega gesla. Žeton je enkraten in poteče;
+-- shranjen je samo hash žetona. Racun_id se nanaša na uporabnike ali frizerje glede na Vloga.
+CREATE TABLE ponastavitve_gesla (
+    ID INT AUTO_INCREMENT PRIMARY KEY,
+    Vloga ENUM('uporabnik', 'frizer') NOT NULL,
+    Racun_id INT NOT NULL,
+    Zeton_hash CHAR(64) NOT NULL,
+    Ustvarjeno DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Potece DATETIME NOT NULL,
+    Porabljeno DATETIME NULL,
+    CONSTRAINT uq_ponastavitve_gesla_zeton UNIQUE (Zeton_hash),
+    INDEX idx_ponastavitve_gesla_racun (Vloga, Racun_id)
+);
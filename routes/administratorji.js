@@ -0,0 +1,890 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js');
+const auth = require('../utils/auth.js');
+const bcrypt = require('bcrypt');
+const utils = require('../utils/utils.js');
+const zetoni = require('../utils/zetoni.js');
+
+// Koliko dni velja vabilo za registracijo frizerja, če administrator ne poda drugače
+const VABILA_VELJAVNOST_DNI = Number(process.env.VABILA_VELJAVNOST_DNI ?? 7);
+
+// Računi, ki jih upravlja administrator: tabela in stolpec s tujim ključem v tabeli termini
+const RACUNI = {
+    uporabniki: { tabela: 'uporabniki', stolpec: 'Uporabniki_id', ime: 'Uporabnik' },
+    frizerji: { tabela: 'frizerji', stolpec: 'Frizerji_id', ime: 'Frizer' }
+};
+
+// Pot z vrsto računa (uporabniki ali frizerji)
+const VRSTA = `:vrsta(${Object.keys(RACUNI).join('|')})`;
+
+/**
+ * @swagger
+ * /administratorji/login:
+ *   post:
+ *     summary: Prijava administratorja
+ *     description: |
+ *       Preveri uporabniško ime in geslo ter vrne JWT token z vlogo `admin`.
+ *       Administratorske račune ustvarimo s skripto `scripts/ustvari-admina.js`.
+ *     tags:
+ *       - Administratorji
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Uporabnisko_ime
+ *               - Geslo
+ *             properties:
+ *               Uporabnisko_ime:
+ *                 type: string
+ *                 example: admin
+ *               Geslo:
+ *                 type: string
+ *                 format: password
+ *                 example: skrivnoGeslo123
+ *     responses:
+ *       200:
+ *         description: Prijava uspešna
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Prijava uspešna.
+ *                 token:
+ *                   type: string
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *       400:
+ *         description: Manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Manjkajoči podatki.
+ *       401:
+ *         description: Napačno uporabniško ime ali geslo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Napačno uporabniško ime ali geslo.
+ *       403:
+ *         description: Račun je deaktiviran
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Račun je deaktiviran.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Prijava administratorja
+router.post('/login', async (req, res, next) => {
+    const { Uporabnisko_ime, Geslo } = req.body;
+
+    if (!Uporabnisko_ime || !Geslo) {
+        return res.status(400).json({ message: 'Manjkajoči podatki.' });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT ID, Uporabnisko_ime, Geslo, Aktiven, Verzija_zetona FROM administratorji WHERE Uporabnisko_ime = ?',
+            [Uporabnisko_ime]
+        );
+
+        if (rows.length === 0) {
+            return res.status(401).json({ message: 'Napačno uporabniško ime ali geslo.' });
+        }
+
+        const admin = rows[0];
+
+        const match = await bcrypt.compare(Geslo, admin.Geslo);
+        if (!match) {
+            return res.status(401).json({ message: 'Napačno uporabniško ime ali geslo.' });
+        }
+
+        if (!admin.Aktiven) {
+            return res.status(403).json({ message: 'Račun je deaktiviran.' });
+        }
+
+        const token = auth.generirajJWT(
+            {
+                ID: admin.ID,
+                Uporabnisko_ime: admin.Uporabnisko_ime,
+                role: 'admin',
+                verzija: admin.Verzija_zetona
+            },
+            'admin'
+        );
+
+        res.json({ message: 'Prijava uspešna.', token });
+
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /administratorji/jaz:
+ *   get:
+ *     summary: Podatki prijavljenega administratorja
+ *     description: Vrne podatke iz JWT tokena prijavljenega administratorja.
+ *     tags:
+ *       - Administratorji
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Administrator je prijavljen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Administrator je prijavljen.
+ *                 user:
+ *                   type: object
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ */
+router.get('/jaz', auth.avtentikacijaJWT, auth.dovoliRole('admin'), (req, res) => {
+    res.json({
+        message: 'Administrator je prijavljen.',
+        user: req.user
+    });
+});
+
+/**
+ * @swagger
+ * /administratorji/{vrsta}:
+ *   get:
+ *     summary: Seznam uporabnikov ali frizerjev
+ *     description: |
+ *       Vrne račune uporabnikov ali frizerjev z njihovim stanjem. S filtrom `aktiven` lahko
+ *       pridobimo samo aktivne ali samo deaktivirane račune. Dostopno samo administratorju.
+ *     tags:
+ *       - Administratorji
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vrsta
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [uporabniki, frizerji]
+ *         example: frizerji
+ *       - in: query
+ *         name: aktiven
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false', vse]
+ *           default: vse
+ *     responses:
+ *       200:
+ *         description: Uspešno pridobljen seznam računov
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 3
+ *                   uporabnisko_ime:
+ *                     type: string
+ *                     example: miha123
+ *                   osebno_ime:
+ *                     type: string
+ *                     example: Miha Novak
+ *                   mail:
+ *                     type: string
+ *                     example: miha.novak@email.com
+ *                   telefon:
+ *                     type: string
+ *                     example: "+38640123456"
+ *                   aktiven:
+ *                     type: boolean
+ *                     example: true
+ *                   deaktivirano:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                     example: null
+ *       400:
+ *         description: Neveljaven filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Filter aktiven mora biti true, false ali vse.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get(`/${VRSTA}`, auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    const { tabela } = RACUNI[req.params.vrsta];
+    const { aktiven = 'vse' } = req.query;
+
+    if (!['true', 'false', 'vse'].includes(aktiven)) {
+        return res.status(400).json({ message: 'Filter aktiven mora biti true, false ali vse.' });
+    }
+
+    try {
+        const filter = aktiven === 'vse' ? null : aktiven === 'true';
+
+        const [rows] = await pool.query(`
+            SELECT ID, Uporabnisko_ime, Ime, Priimek, Mail, Telefon, Aktiven, Deaktivirano
+            FROM ${tabela}
+            WHERE (? IS NULL OR Aktiven = ?)
+            ORDER BY Priimek, Ime, ID`,
+            [filter, filter]
+        );
+
+        res.json(rows.map(row => ({
+            id: row.ID,
+            uporabnisko_ime: row.Uporabnisko_ime,
+            osebno_ime: `${row.Ime} ${row.Priimek}`,
+            mail: row.Mail,
+            telefon: row.Telefon,
+            aktiven: Boolean(row.Aktiven),
+            deaktivirano: row.Deaktivirano
+        })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri pridobivanju računov.' });
+    }
+});
+
+// Deaktivacija ali ponovna aktivacija računa
+function spremembaAktivnosti(aktiven) {
+    return async (req, res) => {
+        const { tabela, stolpec, ime } = RACUNI[req.params.vrsta];
+
+        try {
+            const [[racun]] = await pool.query(`
+                SELECT ID, Aktiven
+                FROM ${tabela}
+                WHERE ID = ?`,
+                [req.params.id]
+            );
+
+            if (!racun) {
+                return res.status(404).json({ message: `${ime} ne obstaja.` });
+            }
+
+            if (Boolean(racun.Aktiven) === aktiven) {
+                return res.status(409).json({ message: aktiven ? 'Račun je že aktiven.' : 'Račun je že deaktiviran.' });
+            }
+
+            await pool.query(`
+                UPDATE ${tabela}
+                SET Aktiven = ?, Deaktivirano = ${aktiven ? 'NULL' : 'NOW()'}
+                WHERE ID = ?`,
+                [aktiven, racun.ID]
+            );
+
+            // Prihodnji termini ostanejo rezervirani; administrator jih lahko odpove na /termini/odpoved
+            const [[{ stevilo }]] = await pool.query(`
+                SELECT COUNT(*) AS stevilo
+                FROM termini
+                WHERE ${stolpec} = ?
+                  AND Status = 'Rezervirano'
+                  AND Cas_termina > NOW()`,
+                [racun.ID]
+            );
+
+            res.json({
+                message: aktiven ? 'Račun uspešno aktiviran.' : 'Račun uspešno deaktiviran.',
+                prihodnji_termini: Number(stevilo)
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Napaka pri spreminjanju stanja računa.' });
+        }
+    };
+}
+
+/**
+ * @swagger
+ * /administratorji/{vrsta}/{id}/deaktiviraj:
+ *   post:
+ *     summary: Deaktiviraj račun uporabnika ali frizerja
+ *     description: |
+ *       Deaktiviran račun se ne more prijaviti, obstoječi tokeni pa prenehajo veljati.
+ *       Deaktiviranega frizerja stranke ne vidijo in ga ne morejo rezervirati.
+ *       Že rezervirani prihodnji termini ostanejo, njihovo število je vrnjeno v odgovoru
+ *       (frizerjeve termine lahko administrator odpove na `/termini/odpoved`). Dostopno samo administratorju.
+ *     tags:
+ *       - Administratorji
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vrsta
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [uporabniki, frizerji]
+ *         example: frizerji
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 3
+ *     responses:
+ *       200:
+ *         description: Račun uspešno deaktiviran
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Račun uspešno deaktiviran.
+ *                 prihodnji_termini:
+ *                   type: integer
+ *                   example: 4
+ *                   description: Število prihodnjih rezerviranih terminov računa
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Račun ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Frizer ne obstaja.
+ *       409:
+ *         description: Račun je že deaktiviran
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Račun je že deaktiviran.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post(`/${VRSTA}/:id/deaktiviraj`, auth.avtentikacijaJWT, auth.dovoliRole('admin'), spremembaAktivnosti(false));
+
+/**
+ * @swagger
+ * /administratorji/{vrsta}/{id}/aktiviraj:
+ *   post:
+ *     summary: Ponovno aktiviraj račun uporabnika ali frizerja
+ *     description: |
+ *       Deaktiviran račun se lahko ponovno prijavi, frizer pa je spet na voljo za rezervacije.
+ *       Dostopno samo administratorju.
+ *     tags:
+ *       - Administratorji
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vrsta
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [uporabniki, frizerji]
+ *         example: frizerji
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 3
+ *     responses:
+ *       200:
+ *         description: Račun uspešno aktiviran
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Račun uspešno aktiviran.
+ *                 prihodnji_termini:
+ *                   type: integer
+ *                   example: 0
+ *                   description: Število prihodnjih rezerviranih terminov računa
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Račun ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Uporabnik ne obstaja.
+ *       409:
+ *         description: Račun je že aktiven
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Račun je že aktiven.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post(`/${VRSTA}/:id/aktiviraj`, auth.avtentikacijaJWT, auth.dovoliRole('admin'), spremembaAktivnosti(true));
+
+/**
+ * @swagger
+ * /administratorji/vabila:
+ *   post:
+ *     summary: Ustvari vabilo za registracijo frizerja
+ *     description: |
+ *       Ustvari enkratno vabilo za izbrani e-poštni naslov. Žeton je vrnjen samo v tem odgovoru
+ *       (v bazi je shranjen le njegov hash), administrator ga posreduje bodočemu frizerju.
+ *       Vabilo velja `veljavnost_dni` dni (privzeto `VABILA_VELJAVNOST_DNI`). Dostopno samo administratorju.
+ *     tags:
+ *       - Administratorji
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Mail
+ *             properties:
+ *               Mail:
+ *                 type: string
+ *                 format: email
+ *                 example: miha.novak@email.com
+ *               veljavnost_dni:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 example: 7
+ *     responses:
+ *       201:
+ *         description: Vabilo ustvarjeno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Vabilo uspešno ustvarjeno.
+ *                 id:
+ *                   type: integer
+ *                   example: 5
+ *                 mail:
+ *                   type: string
+ *                   example: miha.novak@email.com
+ *                 potece:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-17T10:00:00.000Z
+ *                 zeton:
+ *                   type: string
+ *                   example: 3q2-7wEAAAAkZGQx...
+ *                   description: Žeton vabila za polje `Vabilo` pri `/frizerji/signup`
+ *                 vabilo_url:
+ *                   type: string
+ *                   format: uri
+ *                   example: http://localhost:3000/frizerji/vabila/3q2-7wEAAAAkZGQx...
+ *       400:
+ *         description: Neveljavni podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neveljaven email naslov.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/vabila', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    const { Mail, veljavnost_dni = VABILA_VELJAVNOST_DNI } = req.body;
+
+    if (!Mail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(Mail)) {
+        return res.status(400).json({ message: 'Neveljaven email naslov.' });
+    }
+
+    if (!Number.isInteger(veljavnost_dni) || veljavnost_dni < 1 || veljavnost_dni > 30) {
+        return res.status(400).json({ message: 'Veljavnost vabila mora biti med 1 in 30 dni.' });
+    }
+
+    try {
+        const { zeton, hash } = zetoni.ustvariZeton();
+
+        const [result] = await pool.query(`
+            INSERT INTO vabila (Zeton_hash, Mail, Administratorji_id, Potece)
+            VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+            [hash, Mail, req.user.ID, veljavnost_dni]
+        );
+
+        const [[{ Potece }]] = await pool.query('SELECT Potece FROM vabila WHERE ID = ?', [result.insertId]);
+
+        res.status(201).json({
+            message: 'Vabilo uspešno ustvarjeno.',
+            id: result.insertId,
+            mail: Mail,
+            potece: Potece,
+            zeton,
+            vabilo_url: utils.urlVira(req, `/frizerji/vabila/${zeton}`)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri ustvarjanju vabila.' });
+    }
+});
+
+/**
+ * @swagger
+ * /administratorji/vabila:
+ *   get:
+ *     summary: Seznam vabil
+ *     description: |
+ *       Vrne ustvarjena vabila z njihovim stanjem (`odprto`, `porabljeno` ali `poteklo`). Žetoni niso vrnjeni.
+ *       Dostopno samo administratorju.
+ *     tags:
+ *       - Administratorji
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stanje
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [odprto, porabljeno, poteklo]
+ *         description: Samo vabila v izbranem stanju
+ *     responses:
+ *       200:
+ *         description: Seznam vabil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 5
+ *                   mail:
+ *                     type: string
+ *                     example: miha.novak@email.com
+ *                   stanje:
+ *                     type: string
+ *                     enum: [odprto, porabljeno, poteklo]
+ *                     example: odprto
+ *                   ustvarjeno:
+ *                     type: string
+ *                     format: date-time
+ *                   potece:
+ *                     type: string
+ *                     format: date-time
+ *                   porabljeno:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   frizer_ID:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: Frizer, ki se je registriral z vabilom
+ *       400:
+ *         description: Neveljaven filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Stanje mora biti odprto, porabljeno ali poteklo.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/vabila', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    const { stanje } = req.query;
+
+    if (stanje !== undefined && !['odprto', 'porabljeno', 'poteklo'].includes(stanje)) {
+        return res.status(400).json({ message: 'Stanje mora biti odprto, porabljeno ali poteklo.' });
+    }
+
+    try {
+        const [rows] = await pool.query(`
+            SELECT *
+            FROM (
+                SELECT
+                    ID, Mail, Ustvarjeno, Potece, Porabljeno, Frizerji_id,
+                    CASE
+                        WHEN Porabljeno IS NOT NULL THEN 'porabljeno'
+                        WHEN Potece <= NOW() THEN 'poteklo'
+                        ELSE 'odprto'
+                    END AS stanje
+                FROM vabila
+            ) v
+            WHERE (? IS NULL OR v.stanje = ?)
+            ORDER BY v.Ustvarjeno DESC, v.ID DESC`,
+            [stanje ?? null, stanje ?? null]
+        );
+
+        res.json(rows.map(row => ({
+            id: row.ID,
+            mail: row.Mail,
+            stanje: row.stanje,
+            ustvarjeno: row.Ustvarjeno,
+            potece: row.Potece,
+            porabljeno: row.Porabljeno,
+            frizer_ID: row.Frizerji_id
+        })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri pridobivanju vabil.' });
+    }
+});
+
+/**
+ * @swagger
+ * /administratorji/vabila/{id}:
+ *   delete:
+ *     summary: Prekliči vabilo
+ *     description: Izbriše vabilo, ki še ni bilo uporabljeno. Dostopno samo administratorju.
+ *     tags:
+ *       - Administratorji
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 5
+ *     responses:
+ *       200:
+ *         description: Vabilo preklicano
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Vabilo uspešno preklicano.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Vabilo ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Vabilo ne obstaja.
+ *       409:
+ *         description: Vabilo je že uporabljeno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Vabilo je že uporabljeno.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.delete('/vabila/:id', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    try {
+        const [[vabilo]] = await pool.query('SELECT ID, Porabljeno FROM vabila WHERE ID = ?', [req.params.id]);
+
+        if (!vabilo) {
+            return res.status(404).json({ message: 'Vabilo ne obstaja.' });
+        }
+
+        if (vabilo.Porabljeno) {
+            return res.status(409).json({ message: 'Vabilo je že uporabljeno.' });
+        }
+
+        await pool.query('DELETE FROM vabila WHERE ID = ? AND Porabljeno IS NULL', [vabilo.ID]);
+
+        res.json({ message: 'Vabilo uspešno preklicano.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri preklicu vabila.' });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,58 @@ const router = express.Router();
 const pool = require('../utils/db.js');
 const utils = require('../utils/utils.js');
 const auth = require('../utils/auth.js');
+const urnik = require('../utils/urnik.js');
+const ical = require('../utils/ical.js');
+
+// Preveri, ali se interval prekriva z obstoječim delovnikom frizerja na isti dan.
+// Z `izkljuci_ID` se pri posodobitvi izloči delovnik, ki ga posodabljamo.
+async function delovnikSePrekriva(db, frizer_ID, dan, zacetek, konec, izkljuci_ID = null) {
+    const [prekrivanja] = await db.query(
+        `SELECT ID
+        FROM delovnik
+        WHERE Frizerji_id = ?
+         AND Dan = ?
+         AND ID <> ?
+         AND Zacetek < ?
+         AND Konec > ?`,
+        [frizer_ID, dan, izkljuci_ID ?? 0, konec, zacetek]
+    );
+
+    return prekrivanja.length > 0;
+}
+
+// Validira podatke odsotnosti. Če začetek in konec nista podana, odsotnost traja cel dan.
+// Vrne { napaka } ali { odsotnost } z normaliziranimi časi (HH:MM:SS).
+function preveriOdsotnost({ dan, zacetek, konec, razlog }) {
+    if (!utils.veljavenDatum(dan)) {
+        return { napaka: 'Manjkajoč ali neveljaven dan.' };
+    }
+
+    if (!zacetek && !konec) {
+        zacetek = '00:00';
+        konec = '24:00';
+    }
+
+    const casRegex = /^\d{2}:\d{2}(:\d{2})?$/;
+    if (!casRegex.test(zacetek || '') || !casRegex.test(konec || '')) {
+        return { napaka: 'Neveljaven čas odsotnosti.' };
+    }
+
+    zacetek = zacetek.length === 5 ? `${zacetek}:00` : zacetek;
+    konec = konec.length === 5 ? `${konec}:00` : konec;
+
+    if (zacetek >= konec || konec > '24:00:00') {
+        return { napaka: 'Začetek mora biti pred koncem.' };
+    }
+
+    return { odsotnost: { dan, zacetek, konec, razlog: razlog || null } };
+}
+
+// Termini frizerja, ki jih odsotnost prekriva (frizer jih mora prestaviti ali preklicati)
+async function terminiVOdsotnosti(db, frizer_ID, { dan, zacetek, konec }) {
+    const trajanje = utils.casVMinute(konec) - utils.casVMinute(zacetek);
+    return urnik.prekrivajociTermini(db, frizer_ID, `${dan} ${zacetek}`, trajanje, { odmik: 0 });
+}
 
 /**
  * @swagger
@@ -248,17 +300,7 @@ router.post('/', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, r
         }
 
         // Preveri prekrivanje časov
-        const [prekrivanja] = await pool.query(
-            `SELECT ID
-            FROM delovnik
-            WHERE Frizerji_id = ?
-             AND Dan = ?
-             AND Zacetek < ?
-             AND Konec > ?`,
-            [frizer_ID, dan, konec, zacetek]
-        );
-
-        if (prekrivanja.length > 0) {
+        if (await delovnikSePrekriva(pool, frizer_ID, dan, zacetek, konec)) {
             return res.status(409).json({
                 message: 'Delovnik se časovno prekriva z obstoječim.'
             });
@@ -429,18 +471,7 @@ router.put('/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req,
         }
 
         // Preveri prekrivanje (izključi samega sebe)
-        const [prekrivanja] = await pool.query(
-            `SELECT ID
-            FROM delovnik
-            WHERE Frizerji_id = ?
-            AND Dan = ?
-            AND ID <> ?
-            AND Zacetek < ?
-            AND Konec > ?`,
-            [frizer_ID, dan, delovnik_ID, konec, zacetek]
-        );
-
-        if (prekrivanja.length > 0) {
+        if (await delovnikSePrekriva(pool, frizer_ID, dan, zacetek, konec, delovnik_ID)) {
             return res.status(409).json({
                 message: 'Delovnik se časovno prekriva z obstoječim.'
             });
@@ -558,4 +589,1325 @@ router.delete('/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (r
     }
 });
 
+/**
+ * @swagger
+ * /delovniki/predloge:
+ *   get:
+ *     summary: Pridobi tedenske predloge delovnega časa prijavljenega frizerja
+ *     description: |
+ *       Vrne vse intervale tedenskih predlog prijavljenega frizerja.
+ *       Vsak interval velja za izbran dan v tednu v obdobju od `velja_od` do `velja_do`.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Uspešno pridobljen seznam predlog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   ID:
+ *                     type: integer
+ *                     example: 1
+ *                   dan_v_tednu:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 7
+ *                     example: 1
+ *                     description: Dan v tednu (1 = ponedeljek, 7 = nedelja)
+ *                   zacetek:
+ *                     type: string
+ *                     format: time
+ *                     example: "08:00:00"
+ *                   konec:
+ *                     type: string
+ *                     format: time
+ *                     example: "16:00:00"
+ *                   velja_od:
+ *                     type: string
+ *                     format: date
+ *                     example: "2025-11-01"
+ *                   velja_do:
+ *                     type: string
+ *                     format: date
+ *                     nullable: true
+ *                     example: "2026-06-30"
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/predloge', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    try {
+        const frizer_ID = req.user.ID;
+
+        const [rows] = await pool.query(
+            `SELECT
+                ID,
+                Dan_v_tednu,
+                Zacetek,
+                Konec,
+                DATE_FORMAT(Velja_od, '%Y-%m-%d') AS Velja_od,
+                DATE_FORMAT(Velja_do, '%Y-%m-%d') AS Velja_do
+            FROM delovnik_predloge
+            WHERE Frizerji_id = ?
+            ORDER BY Velja_od, Dan_v_tednu, Zacetek`,
+            [frizer_ID]
+        );
+
+        res.json(rows.map(row => ({
+            ID: row.ID,
+            dan_v_tednu: row.Dan_v_tednu,
+            zacetek: row.Zacetek,
+            konec: row.Konec,
+            velja_od: row.Velja_od,
+            velja_do: row.Velja_do
+        })));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri pridobivanju predlog.'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/predloge:
+ *   post:
+ *     summary: Dodajanje tedenske predloge delovnega časa
+ *     description: |
+ *       Frizer doda tedensko predlogo delovnega časa, npr. pon–pet 08:00–16:00 in sob 08:00–12:00.
+ *       Predloga velja od `velja_od` do `velja_do` (če `velja_do` ni podan, velja do preklica).
+ *       Intervali na isti dan v tednu se ne smejo prekrivati med seboj niti z obstoječimi predlogami v istem obdobju.
+ *       Predloga sama ne ustvari delovnikov, to stori `POST /delovniki/predloge/ustvari`.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - velja_od
+ *               - intervali
+ *             properties:
+ *               velja_od:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-01"
+ *               velja_do:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 example: "2026-06-30"
+ *               intervali:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - dan_v_tednu
+ *                     - zacetek
+ *                     - konec
+ *                   properties:
+ *                     dan_v_tednu:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 7
+ *                       example: 6
+ *                     zacetek:
+ *                       type: string
+ *                       format: time
+ *                       example: "08:00"
+ *                     konec:
+ *                       type: string
+ *                       format: time
+ *                       example: "12:00"
+ *     responses:
+ *       201:
+ *         description: Predloga uspešno dodana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Predloga uspešno dodana.
+ *       400:
+ *         description: Napačni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Začetek mora biti pred koncem.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       409:
+ *         description: Interval se prekriva z obstoječo predlogo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Predloga se časovno prekriva z obstoječo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/predloge', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    const frizer_ID = req.user.ID;
+    const { velja_od, velja_do, intervali } = req.body;
+
+    // Validacija
+    if (!velja_od || !Array.isArray(intervali) || intervali.length === 0) {
+        return res.status(400).json({
+            message: 'Manjkajoči podatki (velja_od, intervali).'
+        });
+    }
+
+    if (!utils.veljavenDatum(velja_od) || (velja_do && !utils.veljavenDatum(velja_do))) {
+        return res.status(400).json({
+            message: 'Neveljaven datum veljavnosti.'
+        });
+    }
+
+    if (velja_do && velja_od > velja_do) {
+        return res.status(400).json({
+            message: 'Začetek veljavnosti mora biti pred koncem.'
+        });
+    }
+
+    const casRegex = /^\d{2}:\d{2}(:\d{2})?$/;
+
+    for (const interval of intervali) {
+        const dan_v_tednu = Number(interval.dan_v_tednu);
+
+        if (!Number.isInteger(dan_v_tednu) || dan_v_tednu < 1 || dan_v_tednu > 7) {
+            return res.status(400).json({
+                message: 'Dan v tednu mora biti število od 1 (ponedeljek) do 7 (nedelja).'
+            });
+        }
+
+        if (!casRegex.test(interval.zacetek) || !casRegex.test(interval.konec)) {
+            return res.status(400).json({
+                message: 'Neveljaven čas intervala.'
+            });
+        }
+
+        if (interval.zacetek >= interval.konec) {
+            return res.status(400).json({
+                message: 'Začetek mora biti pred koncem.'
+            });
+        }
+    }
+
+    // Intervali iste predloge se ne smejo prekrivati med seboj
+    for (const [i, a] of intervali.entries()) {
+        const prekrivanje = intervali.slice(i + 1).some(b =>
+            Number(a.dan_v_tednu) === Number(b.dan_v_tednu) && a.zacetek < b.konec && a.konec > b.zacetek
+        );
+
+        if (prekrivanje) {
+            return res.status(400).json({
+                message: 'Intervali predloge se časovno prekrivajo.'
+            });
+        }
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        for (const interval of intervali) {
+            // Preveri prekrivanje z obstoječimi predlogami, ki veljajo v istem obdobju
+            const [prekrivanja] = await connection.query(
+                `SELECT ID
+                FROM delovnik_predloge
+                WHERE Frizerji_id = ?
+                 AND Dan_v_tednu = ?
+                 AND Zacetek < ?
+                 AND Konec > ?
+                 AND (Velja_do IS NULL OR Velja_do >= ?)
+                 AND (? IS NULL OR Velja_od <= ?)`,
+                [frizer_ID, interval.dan_v_tednu, interval.konec, interval.zacetek, velja_od, velja_do || null, velja_do || null]
+            );
+
+            if (prekrivanja.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({
+                    message: 'Predloga se časovno prekriva z obstoječo.'
+                });
+            }
+
+            await connection.query(
+                `INSERT INTO delovnik_predloge (Frizerji_id, Dan_v_tednu, Zacetek, Konec, Velja_od, Velja_do)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [frizer_ID, interval.dan_v_tednu, interval.zacetek, interval.konec, velja_od, velja_do || null]
+            );
+        }
+
+        await connection.commit();
+
+        res.status(201).json({
+            message: 'Predloga uspešno dodana.'
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri shranjevanju predloge.'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/predloge/{id}:
+ *   delete:
+ *     summary: Izbriši interval tedenske predloge
+ *     description: |
+ *       Izbriše interval tedenske predloge prijavljenega frizerja glede na njegov `ID`.
+ *       Že ustvarjeni delovniki ostanejo nespremenjeni.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Enolični id intervala predloge
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Interval predloge uspešno izbrisan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Predloga uspešno izbrisana.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Predloga ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Predloga ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.delete('/predloge/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    try {
+        const frizer_ID = req.user.ID;
+
+        const [result] = await pool.query(
+            `DELETE FROM delovnik_predloge
+            WHERE ID = ? AND Frizerji_id = ?`,
+            [req.params.id, frizer_ID]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'Predloga ne obstaja.'
+            });
+        }
+
+        res.json({
+            message: 'Predloga uspešno izbrisana.'
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri brisanju predloge.'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/predloge/ustvari:
+ *   post:
+ *     summary: Ustvari delovnike iz tedenskih predlog
+ *     description: |
+ *       Za vsak dan v obdobju od `od` do `do` ustvari delovnike iz predlog prijavljenega frizerja, ki ta dan veljajo.
+ *       Pri tem se uporabi enako preverjanje prekrivanja kot pri ročnem dodajanju delovnika.
+ *       Intervali, ki se prekrivajo z obstoječimi delovniki, se preskočijo in so navedeni v odgovoru.
+ *       Obdobje je lahko dolgo največ 366 dni.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - od
+ *               - do
+ *             properties:
+ *               od:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-03"
+ *               do:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-30"
+ *     responses:
+ *       200:
+ *         description: Delovniki ustvarjeni
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ustvarjenih delovnikov 19, preskočenih 1.
+ *                 ustvarjeni:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dan:
+ *                         type: string
+ *                         format: date
+ *                         example: "2025-11-03"
+ *                       zacetek:
+ *                         type: string
+ *                         format: time
+ *                         example: "08:00:00"
+ *                       konec:
+ *                         type: string
+ *                         format: time
+ *                         example: "16:00:00"
+ *                 preskoceni:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dan:
+ *                         type: string
+ *                         format: date
+ *                         example: "2025-11-04"
+ *                       zacetek:
+ *                         type: string
+ *                         format: time
+ *                         example: "08:00:00"
+ *                       konec:
+ *                         type: string
+ *                         format: time
+ *                         example: "16:00:00"
+ *                       razlog:
+ *                         type: string
+ *                         example: Delovnik se časovno prekriva z obstoječim.
+ *       400:
+ *         description: Napačno ali manjkajoče obdobje
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Obdobje je lahko dolgo največ 366 dni.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/predloge/ustvari', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    const frizer_ID = req.user.ID;
+    const { od, do: doDne } = req.body;
+
+    if (!utils.veljavenDatum(od) || !utils.veljavenDatum(doDne)) {
+        return res.status(400).json({
+            message: 'Manjkajoče ali neveljavno obdobje (od, do).'
+        });
+    }
+
+    if (od > doDne) {
+        return res.status(400).json({
+            message: 'Začetek obdobja mora biti pred koncem.'
+        });
+    }
+
+    if (utils.dodajDni(od, 365) < doDne) {
+        return res.status(400).json({
+            message: 'Obdobje je lahko dolgo največ 366 dni.'
+        });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const [predloge] = await connection.query(
+            `SELECT
+                Dan_v_tednu,
+                Zacetek,
+                Konec,
+                DATE_FORMAT(Velja_od, '%Y-%m-%d') AS Velja_od,
+                DATE_FORMAT(Velja_do, '%Y-%m-%d') AS Velja_do
+            FROM delovnik_predloge
+            WHERE Frizerji_id = ?
+             AND Velja_od <= ?
+             AND (Velja_do IS NULL OR Velja_do >= ?)
+            ORDER BY Zacetek`,
+            [frizer_ID, doDne, od]
+        );
+
+        const ustvarjeni = [];
+        const preskoceni = [];
+
+        await connection.beginTransaction();
+
+        for (let dan = od; dan <= doDne; dan = utils.dodajDni(dan, 1)) {
+            const danVTednu = utils.danVTednu(dan);
+
+            const veljavne = predloge.filter(p =>
+                p.Dan_v_tednu === danVTednu &&
+                p.Velja_od <= dan &&
+                (!p.Velja_do || p.Velja_do >= dan)
+            );
+
+            for (const predloga of veljavne) {
+                const delovnik = { dan, zacetek: predloga.Zacetek, konec: predloga.Konec };
+
+                if (await delovnikSePrekriva(connection, frizer_ID, dan, predloga.Zacetek, predloga.Konec)) {
+                    preskoceni.push({ ...delovnik, razlog: 'Delovnik se časovno prekriva z obstoječim.' });
+                    continue;
+                }
+
+                await connection.query(
+                    `INSERT INTO delovnik (Frizerji_id, Dan, Zacetek, Konec)
+                    VALUES (?, ?, ?, ?)`,
+                    [frizer_ID, dan, predloga.Zacetek, predloga.Konec]
+                );
+
+                ustvarjeni.push(delovnik);
+            }
+        }
+
+        await connection.commit();
+
+        res.json({
+            message: `Ustvarjenih delovnikov ${ustvarjeni.length}, preskočenih ${preskoceni.length}.`,
+            ustvarjeni,
+            preskoceni
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri ustvarjanju delovnikov iz predlog.'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/uvoz:
+ *   post:
+ *     summary: Uvoz delovnikov iz koledarja (.ics)
+ *     description: |
+ *       Iz datoteke iCalendar prebere dogodke (VEVENT) in za prijavljenega frizerja ustvari delovnike v obdobju od-do.
+ *       Podprti so dogodki z uro začetka in konca (ali trajanjem) ter tedenska ponavljanja (`RRULE:FREQ=WEEKLY`
+ *       z `INTERVAL`, `BYDAY`, `COUNT`, `UNTIL`) in izjeme `EXDATE`. Časi brez časovnega pasu ali s `TZID` se vzamejo,
+ *       kot so zapisani, časi v UTC se pretvorijo v lokalni čas salona.
+ *       Delovniki, ki se prekrivajo z obstoječimi (ali med seboj), se preskočijo, prav tako nepodprti dogodki.
+ *       S `poskusno=true` se nič ne shrani, odgovor pa pokaže, kaj bi bilo ustvarjeno in kaj preskočeno.
+ *       Obdobje je lahko dolgo največ 366 dni.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: od
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: 2025-06-01
+ *         description: Začetek obdobja (YYYY-MM-DD)
+ *       - in: query
+ *         name: do
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: 2025-08-31
+ *         description: Konec obdobja (YYYY-MM-DD)
+ *       - in: query
+ *         name: poskusno
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         example: true
+ *         description: Samo pregled, delovniki se ne shranijo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               BEGIN:VCALENDAR
+ *               VERSION:2.0
+ *               BEGIN:VEVENT
+ *               UID:izmena-1
+ *               SUMMARY:Jutranja izmena
+ *               DTSTART:20250602T080000
+ *               DTEND:20250602T140000
+ *               RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR
+ *               END:VEVENT
+ *               END:VCALENDAR
+ *     responses:
+ *       200:
+ *         description: Rezultat uvoza
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ustvarjenih delovnikov 12, preskočenih 1.
+ *                 poskusno:
+ *                   type: boolean
+ *                   example: false
+ *                 ustvarjeni:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dan:
+ *                         type: string
+ *                         example: 2025-06-02
+ *                       zacetek:
+ *                         type: string
+ *                         example: 08:00:00
+ *                       konec:
+ *                         type: string
+ *                         example: 14:00:00
+ *                       dogodek:
+ *                         type: string
+ *                         example: Jutranja izmena
+ *                 preskoceni:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dan:
+ *                         type: string
+ *                         example: 2025-06-04
+ *                       zacetek:
+ *                         type: string
+ *                         example: 08:00:00
+ *                       konec:
+ *                         type: string
+ *                         example: 14:00:00
+ *                       dogodek:
+ *                         type: string
+ *                         example: Jutranja izmena
+ *                       razlog:
+ *                         type: string
+ *                         example: Delovnik se časovno prekriva z obstoječim.
+ *       400:
+ *         description: Neveljavno obdobje ali datoteka brez dogodkov
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Datoteka ne vsebuje dogodkov.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/uvoz', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), async (req, res) => {
+    const frizer_ID = req.user.ID;
+    const { od, do: doDne } = req.query;
+    const poskusno = req.query.poskusno === 'true';
+
+    if (!utils.veljavenDatum(od) || !utils.veljavenDatum(doDne)) {
+        return res.status(400).json({
+            message: 'Manjkajoče ali neveljavno obdobje (od, do).'
+        });
+    }
+
+    if (od > doDne) {
+        return res.status(400).json({
+            message: 'Začetek obdobja mora biti pred koncem.'
+        });
+    }
+
+    if (utils.dodajDni(od, 365) < doDne) {
+        return res.status(400).json({
+            message: 'Obdobje je lahko dolgo največ 366 dni.'
+        });
+    }
+
+    const dogodki = typeof req.body === 'string' ? ical.preberiDogodke(req.body) : [];
+
+    if (dogodki.length === 0) {
+        return res.status(400).json({
+            message: 'Datoteka ne vsebuje dogodkov.'
+        });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const ustvarjeni = [];
+        const preskoceni = [];
+
+        // Tudi poskusni uvoz vstavlja v transakciji, da se prekrivanja med uvoženimi dogodki
+        // zaznajo enako kot pri pravem uvozu; na koncu se transakcija razveljavi.
+        await connection.beginTransaction();
+
+        for (const dogodek of dogodki) {
+            const ime = dogodek.povzetek || dogodek.uid;
+
+            if (dogodek.napaka) {
+                preskoceni.push({ dogodek: ime, razlog: dogodek.napaka });
+                continue;
+            }
+
+            if (dogodek.status === 'CANCELLED') {
+                preskoceni.push({ dogodek: ime, razlog: 'Dogodek je preklican.' });
+                continue;
+            }
+
+            const { dnevi, napaka } = ical.dneviDogodka(dogodek, od, doDne);
+
+            if (napaka) {
+                preskoceni.push({ dogodek: ime, razlog: napaka });
+                continue;
+            }
+
+            const zacetek = `${dogodek.zacetek.cas}:00`;
+            const konec = `${dogodek.konec}:00`;
+
+            for (const dan of dnevi) {
+                const delovnik = { dan, zacetek, konec, dogodek: ime };
+
+                if (await delovnikSePrekriva(connection, frizer_ID, dan, zacetek, konec)) {
+                    preskoceni.push({ ...delovnik, razlog: 'Delovnik se časovno prekriva z obstoječim.' });
+                    continue;
+                }
+
+                await connection.query(
+                    `INSERT INTO delovnik (Frizerji_id, Dan, Zacetek, Konec)
+                    VALUES (?, ?, ?, ?)`,
+                    [frizer_ID, dan, zacetek, konec]
+                );
+
+                ustvarjeni.push(delovnik);
+            }
+        }
+
+        if (poskusno) {
+            await connection.rollback();
+        } else {
+            await connection.commit();
+        }
+
+        res.json({
+            message: `${poskusno ? 'Poskusni uvoz: ustvarjenih bi bilo' : 'Ustvarjenih'} delovnikov ${ustvarjeni.length}, preskočenih ${preskoceni.length}.`,
+            poskusno,
+            ustvarjeni,
+            preskoceni
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri uvozu delovnikov.'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/odsotnosti:
+ *   get:
+ *     summary: Pridobi odsotnosti prijavljenega frizerja
+ *     description: |
+ *       Vrne seznam odsotnosti (malica, obisk zdravnika, bolniška ...) prijavljenega frizerja.
+ *       V času odsotnosti termina ni mogoče rezervirati.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Uspešno pridobljen seznam odsotnosti
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   ID:
+ *                     type: integer
+ *                     example: 1
+ *                   dan:
+ *                     type: string
+ *                     format: date
+ *                     example: "2025-11-24"
+ *                   zacetek:
+ *                     type: string
+ *                     format: time
+ *                     example: "12:00:00"
+ *                   konec:
+ *                     type: string
+ *                     format: time
+ *                     example: "12:30:00"
+ *                   razlog:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Malica
+ *                   Url:
+ *                     type: string
+ *                     format: uri
+ *                     example: http://localhost:3000/delovniki/odsotnosti/1
+ *                     description: Url za posodobitev ali brisanje odsotnosti
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/odsotnosti', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    try {
+        const frizer_ID = req.user.ID;
+
+        const [rows] = await pool.query(
+            `SELECT ID, DATE_FORMAT(Dan, '%Y-%m-%d') AS Dan, Zacetek, Konec, Razlog
+            FROM odsotnosti
+            WHERE Frizerji_id = ?
+            ORDER BY Dan, Zacetek`,
+            [frizer_ID]
+        );
+
+        res.json(rows.map(row => ({
+            ID: row.ID,
+            dan: row.Dan,
+            zacetek: row.Zacetek,
+            konec: row.Konec,
+            razlog: row.Razlog,
+            Url: utils.urlVira(req, `/delovniki/odsotnosti/${row.ID}`)
+        })));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri pridobivanju odsotnosti.'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/odsotnosti:
+ *   post:
+ *     summary: Dodajanje odsotnosti frizerja
+ *     description: |
+ *       Frizer blokira čas, ko ni na voljo, ne da bi brisal delovnik (malica, obisk zdravnika, bolniška ...).
+ *       Če začetek in konec nista podana, odsotnost traja cel dan.
+ *       Obstoječi termini ostanejo rezervirani, v odgovoru pa so navedeni termini, ki jih odsotnost prekriva.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dan
+ *             properties:
+ *               dan:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-24"
+ *                 description: Datum odsotnosti
+ *               zacetek:
+ *                 type: string
+ *                 format: time
+ *                 example: "12:00"
+ *                 description: Začetek odsotnosti (brez začetka in konca odsotnost traja cel dan)
+ *               konec:
+ *                 type: string
+ *                 format: time
+ *                 example: "12:30"
+ *                 description: Konec odsotnosti
+ *               razlog:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Malica
+ *                 description: Razlog odsotnosti (neobvezno)
+ *     responses:
+ *       201:
+ *         description: Odsotnost uspešno dodana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Odsotnost uspešno dodana.
+ *                 ID:
+ *                   type: integer
+ *                   example: 1
+ *                 prizadeti_termini:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   example: [42]
+ *                   description: ID-ji rezerviranih terminov, ki jih odsotnost prekriva
+ *       400:
+ *         description: Napačni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Začetek mora biti pred koncem.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/odsotnosti', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    try {
+        const frizer_ID = req.user.ID;
+        const { napaka, odsotnost } = preveriOdsotnost(req.body);
+
+        if (napaka) {
+            return res.status(400).json({ message: napaka });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO odsotnosti (Frizerji_id, Dan, Zacetek, Konec, Razlog)
+            VALUES (?, ?, ?, ?, ?)`,
+            [frizer_ID, odsotnost.dan, odsotnost.zacetek, odsotnost.konec, odsotnost.razlog]
+        );
+
+        res.status(201).json({
+            message: 'Odsotnost uspešno dodana.',
+            ID: result.insertId,
+            prizadeti_termini: await terminiVOdsotnosti(pool, frizer_ID, odsotnost)
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri shranjevanju odsotnosti.'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/odsotnosti/{id}:
+ *   put:
+ *     summary: Posodobi odsotnost frizerja
+ *     description: Posodobi dan, čas in razlog odsotnosti prijavljenega frizerja glede na njen `ID`.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Enolični id odsotnosti
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dan
+ *             properties:
+ *               dan:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-24"
+ *                 description: Datum odsotnosti
+ *               zacetek:
+ *                 type: string
+ *                 format: time
+ *                 example: "12:00"
+ *                 description: Začetek odsotnosti (brez začetka in konca odsotnost traja cel dan)
+ *               konec:
+ *                 type: string
+ *                 format: time
+ *                 example: "12:30"
+ *                 description: Konec odsotnosti
+ *               razlog:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Malica
+ *                 description: Razlog odsotnosti (neobvezno)
+ *     responses:
+ *       200:
+ *         description: Odsotnost uspešno posodobljena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Odsotnost uspešno posodobljena.
+ *                 prizadeti_termini:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   example: [42]
+ *                   description: ID-ji rezerviranih terminov, ki jih odsotnost prekriva
+ *       400:
+ *         description: Napačni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Začetek mora biti pred koncem.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Odsotnost ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Odsotnost ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.put('/odsotnosti/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    try {
+        const frizer_ID = req.user.ID;
+        const { napaka, odsotnost } = preveriOdsotnost(req.body);
+
+        if (napaka) {
+            return res.status(400).json({ message: napaka });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE odsotnosti
+            SET Dan = ?, Zacetek = ?, Konec = ?, Razlog = ?
+            WHERE ID = ? AND Frizerji_id = ?`,
+            [odsotnost.dan, odsotnost.zacetek, odsotnost.konec, odsotnost.razlog, req.params.id, frizer_ID]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'Odsotnost ne obstaja.'
+            });
+        }
+
+        res.json({
+            message: 'Odsotnost uspešno posodobljena.',
+            prizadeti_termini: await terminiVOdsotnosti(pool, frizer_ID, odsotnost)
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri posodabljanju odsotnosti.'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /delovniki/odsotnosti/{id}:
+ *   delete:
+ *     summary: Izbriši odsotnost frizerja
+ *     description: Izbriše odsotnost prijavljenega frizerja glede na njen `ID`.
+ *     tags:
+ *       - Delovniki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Enolični id odsotnosti
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Odsotnost uspešno izbrisana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Odsotnost uspešno izbrisana.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Odsotnost ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Odsotnost ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.delete('/odsotnosti/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    try {
+        const frizer_ID = req.user.ID;
+
+        const [result] = await pool.query(
+            `DELETE FROM odsotnosti
+            WHERE ID = ? AND Frizerji_id = ?`,
+            [req.params.id, frizer_ID]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                message: 'Odsotnost ne obstaja.'
+            });
+        }
+
+        res.json({
+            message: 'Odsotnost uspešno izbrisana.'
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            message: 'Napaka pri brisanju odsotnosti.'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,48 @@ const pool = require('../utils/db.js');
 const utils = require('../utils/utils.js');
 const auth = require('../utils/auth.js');
 const bcrypt = require('bcrypt');
+const obvestila = require('../utils/obvestila.js');
+const gesla = require('../utils/gesla.js');
+const urnik = require('../utils/urnik.js');
+const zetoni = require('../utils/zetoni.js');
+
+// Polja profila, ki jih frizer lahko spremeni
+const POLJA_PROFILA = ['Spol', 'Ime', 'Priimek', 'Naslov', 'Starost', 'Mail', 'Telefon', 'Opis', 'Uporabnisko_ime'];
+
+// Poišče storitve za specializacije. Seznam vsebuje ID-je ali nazive storitev.
+// Vrne { napaka } ali { storitve } z ID-ji obstoječih storitev, ki niso arhivirane.
+async function poisciStoritve(db, seznam) {
+    if (!Array.isArray(seznam) || seznam.length === 0) {
+        return { napaka: 'Podajte vsaj eno storitev.' };
+    }
+
+    const veljaven = v => (Number.isInteger(v) && v > 0) || (typeof v === 'string' && v.trim() !== '');
+    if (!seznam.every(veljaven)) {
+        return { napaka: 'Specializacije morajo biti ID-ji ali nazivi storitev.' };
+    }
+
+    const ids = seznam.filter(v => Number.isInteger(v));
+    const imena = seznam.filter(v => typeof v === 'string').map(v => v.trim());
+
+    const [rows] = await db.query(`
+        SELECT ID, Ime
+        FROM storitve
+        WHERE Arhivirano IS NULL
+          AND (ID IN (?) OR Ime IN (?))`,
+        [ids.length > 0 ? ids : [0], imena.length > 0 ? imena : ['']]
+    );
+
+    const ujemanje = v => typeof v === 'string'
+        ? rows.find(r => r.Ime.toLowerCase() === v.trim().toLowerCase())
+        : rows.find(r => r.ID === v);
+
+    const neznane = seznam.filter(v => !ujemanje(v));
+    if (neznane.length > 0) {
+        return { napaka: `Neznane storitve: ${neznane.join(', ')}.` };
+    }
+
+    return { storitve: [...new Set(seznam.map(v => ujemanje(v).ID))] };
+}
 
 /**
  * @swagger
@@ -13,6 +55,9 @@ const bcrypt = require('bcrypt');
  *     description: |
  *       Ustvari novega frizerja, shrani hashirano geslo v bazo 
  *       ter doda njegove specializacije.
+ *       Registracija je mogoča samo z veljavnim vabilom administratorja (`Vabilo`). Vabilo je enkratno in poteče.
+ *       E-poštni naslov frizerja je naslov iz vabila; če je `Mail` podan, se mora ujemati z njim.
+ *       Specializacije so ID-ji ali nazivi obstoječih storitev, ki niso arhivirane.
  *     tags:
  *       - Frizerji
  *     requestBody:
@@ -22,18 +67,22 @@ const bcrypt = require('bcrypt');
  *           schema:
  *             type: object
  *             required:
+ *               - Vabilo
  *               - Spol
  *               - Ime
  *               - Priimek
  *               - Naslov
  *               - Starost
- *               - Mail
  *               - Telefon
  *               - Opis
  *               - Uporabnisko_ime
  *               - Geslo
  *               - Specializacije
  *             properties:
+ *               Vabilo:
+ *                 type: string
+ *                 example: 3q2-7wEAAAAkZGQx...
+ *                 description: Žeton vabila, ki ga je ustvaril administrator
  *               Spol:
  *                 type: string
  *                 enum: [Moški, Ženski]
@@ -54,6 +103,7 @@ const bcrypt = require('bcrypt');
  *                 type: string
  *                 format: email
  *                 example: miha.novak@email.com
+ *                 description: Neobvezno, privzeto naslov iz vabila
  *               Telefon:
  *                 type: string
  *                 example: "+38640123456"
@@ -71,11 +121,15 @@ const bcrypt = require('bcrypt');
  *                 type: array
  *                 minItems: 1
  *                 items:
- *                   type: string
+ *                   oneOf:
+ *                     - type: integer
+ *                       description: ID storitve
+ *                     - type: string
+ *                       description: Naziv storitve
  *                 example: 
  *                   - "Moško striženje"
  *                   - "Britje"
- *                   - "Barvanje las"
+ *                   - 4
  *     responses:
  *       201:
  *         description: Frizer uspešno ustvarjen skupaj s specializacijami
@@ -96,7 +150,17 @@ const bcrypt = require('bcrypt');
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Podatki manjkajo ali so napačni.
+ *                   example: "Neznane storitve: Britje."
+ *       403:
+ *         description: Manjka vabilo ali vabilo ni veljavno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Vabilo ni veljavno, je že uporabljeno ali je poteklo.
  *       409:
  *         description: Uporabniško ime že obstaja
   *         content:
@@ -112,28 +176,26 @@ const bcrypt = require('bcrypt');
  */
 // Dodajanje frizerja
 router.post('/signup', async (req, res, next) => {
-    const { Spol, Ime, Priimek, Naslov, Starost, Mail, Telefon, Opis, Uporabnisko_ime, Geslo, Specializacije } = req.body;
+    const { Vabilo, Spol, Ime, Priimek, Naslov, Starost, Mail, Telefon, Opis, Uporabnisko_ime, Geslo, Specializacije } = req.body;
+
+    if (!Vabilo) {
+        return res.status(403).json({ message: 'Registracija frizerja je mogoča samo z vabilom.' });
+    }
+
     // Preveri, če so vsi potrebni podatki prisotni
-    if (!Spol || !Ime || !Priimek || !Naslov || !Starost || !Mail || !Telefon || !Opis || !Uporabnisko_ime || !Geslo || 
+    if (!Spol || !Ime || !Priimek || !Naslov || !Starost || !Telefon || !Opis || !Uporabnisko_ime || !Geslo || 
         !Array.isArray(Specializacije) || Specializacije.length === 0
     ) {
         return res.status(400).json({ message: 'Manjkajoči podatki.' });
     }
 
-    const dovoljeniSpoli = ['Moški', 'Ženski'];
-    if (!dovoljeniSpoli.includes(Spol)) {
-        return res.status(400).json({ message: 'Neveljavna vrednost za spol.' });
+    // Mail je neobvezen, privzeto je naslov iz vabila
+    const napakaPodatkov = utils.preveriOsebnePodatke({ Spol, Starost, Mail: Mail || undefined });
+    if (napakaPodatkov) {
+        return res.status(400).json({ message: napakaPodatkov });
     }
 
     const StarostNum = Number(Starost);
-    if (!Number.isInteger(StarostNum) || StarostNum < 0 || StarostNum > 100) {
-        return res.status(400).json({ message: 'Starost mora biti veljavna številka.' });
-    }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(Mail)) {
-        return res.status(400).json({ message: 'Neveljaven email naslov.' });
-    }
 
     if (Geslo.length < 8) {
         return res.status(400).json({ message: 'Geslo mora imeti vsaj 8 znakov.' });
@@ -143,10 +205,37 @@ router.post('/signup', async (req, res, next) => {
         if (await utils.frizerObstaja(Uporabnisko_ime)) {
             return res.status(409).json({ message: 'Uporabniško ime že obstaja.' });
         }
+
+        const { napaka, storitve } = await poisciStoritve(pool, Specializacije);
+        if (napaka) {
+            return res.status(400).json({ message: napaka });
+        }
+
         const connection = await pool.getConnection();
         try {
             await connection.beginTransaction();
 
+            // Vabilo zaklenemo, da ga sočasna registracija ne more uporabiti še enkrat
+            const [[vabilo]] = await connection.query(`
+                SELECT ID, Mail
+                FROM vabila
+                WHERE Zeton_hash = ?
+                  AND Porabljeno IS NULL
+                  AND Potece > NOW()
+                FOR UPDATE`,
+                [zetoni.hashZetona(Vabilo)]
+            );
+
+            if (!vabilo) {
+                await connection.rollback();
+                return res.status(403).json({ message: 'Vabilo ni veljavno, je že uporabljeno ali je poteklo.' });
+            }
+
+            if (Mail && Mail.toLowerCase() !== vabilo.Mail.toLowerCase()) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'E-poštni naslov se mora ujemati z vabilom.' });
+            }
+
             // Hashiranje gesla
             const hashedGeslo = await bcrypt.hash(Geslo, 10);
 
@@ -154,7 +243,7 @@ router.post('/signup', async (req, res, next) => {
             const [result] = await connection.execute(`
                 INSERT INTO frizerji (Spol, Ime, Priimek, Naslov, Starost, Mail, Telefon, Opis, Uporabnisko_ime, Geslo) 
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [Spol, Ime, Priimek, Naslov, StarostNum, Mail, Telefon, Opis, Uporabnisko_ime, hashedGeslo]
+                [Spol, Ime, Priimek, Naslov, StarostNum, vabilo.Mail, Telefon, Opis, Uporabnisko_ime, hashedGeslo]
             );
 
             // Preverimo, če je bila vstavljena natanko ena vrstica
@@ -165,12 +254,24 @@ router.post('/signup', async (req, res, next) => {
             const frizerId = result.insertId;
 
             // Vstavi specializacije
-            const insertSpecializacijeSql = 
-                'INSERT INTO specializacija (Frizerji_id, Naziv) VALUES (?, ?)';
-            
-            for (const naziv of Specializacije) {
-                await connection.execute(insertSpecializacijeSql, [frizerId, naziv]);
-            }
+            await connection.query(`
+                INSERT INTO specializacija (Frizerji_id, Storitve_id)
+                VALUES ?`,
+                [storitve.map(storitev_ID => [frizerId, storitev_ID])]
+            );
+
+            await connection.query(`
+                UPDATE vabila
+                SET Porabljeno = NOW(), Frizerji_id = ?
+                WHERE ID = ?`,
+                [frizerId, vabilo.ID]
+            );
+
+            await obvestila.dodajObvestilo(connection, {
+                frizer_ID: frizerId,
+                vrsta: obvestila.VRSTE.REGISTRACIJA,
+                podatki: { uporabnisko_ime: Uporabnisko_ime }
+            });
 
             await connection.commit();
 
@@ -189,6 +290,74 @@ router.post('/signup', async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /frizerji/vabila/{zeton}:
+ *   get:
+ *     summary: Podatki vabila za registracijo frizerja
+ *     description: |
+ *       Vrne e-poštni naslov in rok veljavnosti vabila, da lahko obrazec za registracijo naslov vnaprej izpolni.
+ *       Vabilo s tem ni porabljeno.
+ *     tags:
+ *       - Frizerji
+ *     parameters:
+ *       - in: path
+ *         name: zeton
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Žeton vabila
+ *     responses:
+ *       200:
+ *         description: Vabilo je veljavno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mail:
+ *                   type: string
+ *                   format: email
+ *                   example: miha.novak@email.com
+ *                 potece:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-17T10:00:00.000Z
+ *       404:
+ *         description: Vabilo ni veljavno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Vabilo ni veljavno, je že uporabljeno ali je poteklo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Podatki vabila za izpolnitev obrazca
+router.get('/vabila/:zeton', async (req, res, next) => {
+    try {
+        const [[vabilo]] = await pool.query(`
+            SELECT Mail, Potece
+            FROM vabila
+            WHERE Zeton_hash = ?
+              AND Porabljeno IS NULL
+              AND Potece > NOW()`,
+            [zetoni.hashZetona(req.params.zeton)]
+        );
+
+        if (!vabilo) {
+            return res.status(404).json({ message: 'Vabilo ni veljavno, je že uporabljeno ali je poteklo.' });
+        }
+
+        res.json({ mail: vabilo.Mail, potece: vabilo.Potece });
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /frizerji/login:
@@ -245,6 +414,16 @@ router.post('/signup', async (req, res, next) => {
  *                 message:
  *                   type: string
  *                   example: Napačno uporabniško ime ali geslo.
+ *       403:
+ *         description: Račun je deaktiviran
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Račun je deaktiviran.
  *       500:
  *         description: Napaka na strežniku
  */
@@ -259,7 +438,7 @@ router.post('/login', async (req, res, next) => {
     try {
         // Poiščemo frizerja v bazi
         const [rows] = await pool.execute(
-            'SELECT ID, Uporabnisko_ime, Geslo FROM frizerji WHERE Uporabnisko_ime = ?',
+            'SELECT ID, Uporabnisko_ime, Geslo, Aktiven, Verzija_zetona FROM frizerji WHERE Uporabnisko_ime = ?',
             [Uporabnisko_ime]
         );
 
@@ -275,12 +454,17 @@ router.post('/login', async (req, res, next) => {
             return res.status(401).json({ message: 'Napačno uporabniško ime ali geslo.' });
         }
 
+        if (!frizer.Aktiven) {
+            return res.status(403).json({ message: 'Račun je deaktiviran.' });
+        }
+
         // JWT token
         const token = auth.generirajJWT(
             {
                 ID: frizer.ID,
                 Uporabnisko_ime: frizer.Uporabnisko_ime,
-                role: 'frizer'
+                role: 'frizer',
+                verzija: frizer.Verzija_zetona
             },
             'frizer'
         );
@@ -334,45 +518,968 @@ router.get('/jaz', auth.avtentikacijaJWT, (req, res) => {
 
 /**
  * @swagger
- * /frizerji:
- *   get:
- *     summary: Pridobi seznam osebnih imen vseh frizerjev
+ * /frizerji/jaz:
+ *   patch:
+ *     summary: Posodobi profil prijavljenega frizerja
  *     description: |
- *       Vrne seznam vseh frizerjev, ki so na voljo v sistemu.
- *       Vsak frizer vsebuje enolični identifikator in njegovo ime ter priimek,
- *       ki sta namenjena prikazu v uporabniškem vmesniku.
+ *       Posodobi podana polja profila. Za podatke veljajo enaka pravila kot pri registraciji,
+ *       uporabniško ime mora biti unikatno. Ob spremembi uporabniškega imena je vrnjen nov token,
+ *       ki ga je treba uporabljati namesto starega.
  *     tags:
  *       - Frizerji
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Spol:
+ *                 type: string
+ *                 enum: [Moški, Ženski]
+ *               Ime:
+ *                 type: string
+ *               Priimek:
+ *                 type: string
+ *               Naslov:
+ *                 type: string
+ *                 example: Slovenska 1, Ljubljana
+ *               Starost:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               Mail:
+ *                 type: string
+ *                 format: email
+ *               Telefon:
+ *                 type: string
+ *                 example: "+38640123456"
+ *               Opis:
+ *                 type: string
+ *                 example: Specialist za moške pričeske
+ *               Uporabnisko_ime:
+ *                 type: string
+ *                 example: miha123
  *     responses:
  *       200:
- *         description: Uspešno pridobljen seznam frizerjev
+ *         description: Profil uspešno posodobljen
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 3
- *                     description: Enolični ID frizerja
- *                   osebno_ime:
- *                     type: string
- *                     example: Janez Novak
- *                     description: Ime in priimek frizerja
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Profil uspešno posodobljen.
+ *                 profil:
+ *                   type: object
+ *                   properties:
+ *                     Spol:
+ *                       type: string
+ *                     Ime:
+ *                       type: string
+ *                     Priimek:
+ *                       type: string
+ *                     Naslov:
+ *                       type: string
+ *                     Starost:
+ *                       type: integer
+ *                     Mail:
+ *                       type: string
+ *                     Telefon:
+ *                       type: string
+ *                     Opis:
+ *                       type: string
+ *                     Uporabnisko_ime:
+ *                       type: string
+ *                 token:
+ *                   type: string
+ *                   description: Nov token (samo ob spremembi uporabniškega imena)
+ *       400:
+ *         description: Neveljavni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neveljaven email naslov.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       409:
+ *         description: Uporabniško ime že obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Uporabniško ime že obstaja.
  *       500:
  *         description: Napaka na strežniku
  */
-// Pridobivanje vseh frizerjev
-router.get('/', async (req, res, next) => {
+// Urejanje profila frizerja
+router.patch('/jaz', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res, next) => {
+    const { napaka, spremembe } = utils.preveriProfil(req.body, POLJA_PROFILA);
+
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
     try {
-        const [rows] = await pool.execute('SELECT ID, Ime, Priimek FROM frizerji');
-        const result = rows.map(row => ({
-            id: row.ID,
-            osebno_ime: `${row.Ime} ${row.Priimek}`
-        }));
-        res.json(result);
+        const [[racun]] = await pool.query('SELECT Uporabnisko_ime FROM frizerji WHERE ID = ?', [req.user.ID]);
+
+        const novoIme = spremembe.Uporabnisko_ime !== undefined && spremembe.Uporabnisko_ime !== racun.Uporabnisko_ime;
+
+        if (novoIme && await utils.frizerObstaja(spremembe.Uporabnisko_ime)) {
+            return res.status(409).json({ message: 'Uporabniško ime že obstaja.' });
+        }
+
+        await pool.query('UPDATE frizerji SET ? WHERE ID = ?', [spremembe, req.user.ID]);
+
+        const [[profil]] = await pool.query(`
+            SELECT Spol, Ime, Priimek, Naslov, Starost, Mail, Telefon, Opis, Uporabnisko_ime
+            FROM frizerji
+            WHERE ID = ?`,
+            [req.user.ID]
+        );
+
+        // Token vsebuje uporabniško ime, zato ob spremembi izdamo novega
+        const token = novoIme
+            ? auth.generirajJWT({ ID: req.user.ID, Uporabnisko_ime: profil.Uporabnisko_ime, role: 'frizer', verzija: req.user.verzija }, 'frizer')
+            : undefined;
+
+        res.json({
+            message: 'Profil uspešno posodobljen.',
+            profil,
+            ...(token && { token })
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Uporabniško ime že obstaja.' });
+        }
+
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /frizerji/jaz/geslo:
+ *   patch:
+ *     summary: Sprememba gesla frizerja
+ *     description: |
+ *       Prijavljeni frizer spremeni geslo. Potrebno je trenutno geslo.
+ *       Vsi prej izdani tokeni računa (tudi na drugih napravah) prenehajo veljati, zato odgovor vsebuje nov token.
+ *     tags:
+ *       - Frizerji
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staro_geslo
+ *               - novo_geslo
+ *             properties:
+ *               staro_geslo:
+ *                 type: string
+ *                 example: skrivnoGeslo123
+ *               novo_geslo:
+ *                 type: string
+ *                 minLength: 8
+ *                 example: novoGeslo456
+ *     responses:
+ *       200:
+ *         description: Geslo uspešno spremenjeno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Geslo uspešno spremenjeno.
+ *                 token:
+ *                   type: string
+ *                   description: Nov token; prejšnji tokeni ne veljajo več
+ *       400:
+ *         description: Manjkajoči podatki, prekratko geslo ali napačno trenutno geslo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Trenutno geslo ni pravilno.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Sprememba gesla frizerja
+router.patch('/jaz/geslo', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res, next) => {
+    const { staro_geslo, novo_geslo } = req.body;
+
+    if (!staro_geslo || !novo_geslo) {
+        return res.status(400).json({ message: 'Manjkajoči podatki.' });
+    }
+
+    const napaka = gesla.preveriGeslo(novo_geslo);
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    try {
+        const racun = await gesla.spremeniGeslo('frizer', req.user.ID, staro_geslo, novo_geslo);
+
+        if (!racun) {
+            return res.status(400).json({ message: 'Trenutno geslo ni pravilno.' });
+        }
+
+        const token = auth.generirajJWT(
+            {
+                ID: req.user.ID,
+                Uporabnisko_ime: racun.Uporabnisko_ime,
+                role: 'frizer',
+                verzija: racun.verzija
+            },
+            'frizer'
+        );
+
+        res.json({ message: 'Geslo uspešno spremenjeno.', token });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /frizerji/pozabljeno-geslo:
+ *   post:
+ *     summary: Zahteva za ponastavitev pozabljenega gesla frizerja
+ *     description: |
+ *       Če obstaja aktiven račun s podanim uporabniškim imenom ali e-poštnim naslovom, mu pošlje enkratni žeton
+ *       za ponastavitev gesla, ki velja omejen čas (PONASTAVITEV_GESLA_MIN). Prejšnji neporabljeni žetoni ne veljajo več.
+ *       Odgovor je vedno enak, zato iz njega ni mogoče ugotoviti, ali račun obstaja.
+ *     tags:
+ *       - Frizerji
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Uporabnisko_ime:
+ *                 type: string
+ *                 example: miha123
+ *               Mail:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Zahteva sprejeta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Če račun obstaja, smo vam poslali navodila za ponastavitev gesla.
+ *       400:
+ *         description: Manjka uporabniško ime ali e-poštni naslov ali nista besedilo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Podajte uporabniško ime ali e-poštni naslov.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Zahteva za ponastavitev gesla frizerja
+router.post('/pozabljeno-geslo', (req, res) => {
+    const { Uporabnisko_ime, Mail } = req.body;
+
+    if (!Uporabnisko_ime && !Mail) {
+        return res.status(400).json({ message: 'Podajte uporabniško ime ali e-poštni naslov.' });
+    }
+
+    if ([Uporabnisko_ime, Mail].some(v => v && typeof v !== 'string')) {
+        return res.status(400).json({ message: 'Uporabniško ime in e-poštni naslov morata biti besedilo.' });
+    }
+
+    // Odgovorimo takoj in žeton pošljemo v ozadju, da čas odgovora ne razkrije, ali račun obstaja
+    res.json({ message: 'Če račun obstaja, smo vam poslali navodila za ponastavitev gesla.' });
+
+    gesla.zahtevajPonastavitev(req.app, 'frizer', { Uporabnisko_ime, Mail })
+        .catch(err => console.error('Zahteva za ponastavitev gesla ni uspela:', err.message));
+});
+
+/**
+ * @swagger
+ * /frizerji/ponastavi-geslo:
+ *   post:
+ *     summary: Ponastavitev gesla frizerja z žetonom
+ *     description: |
+ *       Nastavi novo geslo z žetonom iz /frizerji/pozabljeno-geslo. Žeton je mogoče uporabiti samo enkrat.
+ *       Vsi prej izdani tokeni računa prenehajo veljati; za nadaljevanje se je treba ponovno prijaviti.
+ *     tags:
+ *       - Frizerji
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - zeton
+ *               - novo_geslo
+ *             properties:
+ *               zeton:
+ *                 type: string
+ *               novo_geslo:
+ *                 type: string
+ *                 minLength: 8
+ *                 example: novoGeslo456
+ *     responses:
+ *       200:
+ *         description: Geslo uspešno ponastavljeno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Geslo uspešno ponastavljeno. Prijavite se z novim geslom.
+ *       400:
+ *         description: Manjkajoči podatki, prekratko geslo ali neveljaven žeton
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Žeton ni veljaven, je že uporabljen ali je potekel.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Ponastavitev gesla frizerja z žetonom
+router.post('/ponastavi-geslo', async (req, res, next) => {
+    const { zeton, novo_geslo } = req.body;
+
+    if (!zeton || !novo_geslo) {
+        return res.status(400).json({ message: 'Manjkajoči podatki.' });
+    }
+
+    const napaka = gesla.preveriGeslo(novo_geslo);
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    try {
+        if (!(await gesla.ponastaviGeslo('frizer', zeton, novo_geslo))) {
+            return res.status(400).json({ message: 'Žeton ni veljaven, je že uporabljen ali je potekel.' });
+        }
+
+        res.json({ message: 'Geslo uspešno ponastavljeno. Prijavite se z novim geslom.' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /frizerji:
+ *   get:
+ *     summary: Pridobi seznam osebnih imen vseh frizerjev
+ *     description: |
+ *       Vrne seznam vseh frizerjev, ki so na voljo v sistemu.
+ *       Vsak frizer vsebuje enolični identifikator in njegovo ime ter priimek,
+ *       ki sta namenjena prikazu v uporabniškem vmesniku.
+ *     tags:
+ *       - Frizerji
+ *     responses:
+ *       200:
+ *         description: Uspešno pridobljen seznam frizerjev
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 3
+ *                     description: Enolični ID frizerja
+ *                   osebno_ime:
+ *                     type: string
+ *                     example: Janez Novak
+ *                     description: Ime in priimek frizerja
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Pridobivanje vseh frizerjev
+router.get('/', async (req, res, next) => {
+    try {
+        const [rows] = await pool.execute('SELECT ID, Ime, Priimek FROM frizerji WHERE Aktiven = TRUE');
+        const result = rows.map(row => ({
+            id: row.ID,
+            osebno_ime: `${row.Ime} ${row.Priimek}`
+        }));
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /frizerji/specializacije:
+ *   get:
+ *     summary: Pridobi specializacije prijavljenega frizerja
+ *     description: |
+ *       Vrne storitve, ki jih izvaja prijavljeni frizer, urejene po vrstnem redu kataloga.
+ *       Cena in trajanje sta vrednosti pri frizerju: njegova prilagoditev ali vrednost iz kataloga.
+ *       Vključene so tudi neaktivne in arhivirane storitve, ki jih stranke ne morejo rezervirati.
+ *     tags:
+ *       - Frizerji
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Uspešno pridobljene specializacije
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 4
+ *                     description: ID storitve
+ *                   naziv:
+ *                     type: string
+ *                     example: Moško striženje
+ *                   aktivna:
+ *                     type: boolean
+ *                     example: true
+ *                   arhivirana:
+ *                     type: boolean
+ *                     example: false
+ *                   cena:
+ *                     type: number
+ *                     example: 30
+ *                   trajanje:
+ *                     type: integer
+ *                     example: 45
+ *                   prilagoditev:
+ *                     type: object
+ *                     description: Frizerjeva cena in trajanje (null pomeni vrednost iz kataloga)
+ *                     properties:
+ *                       cena:
+ *                         type: number
+ *                         nullable: true
+ *                         example: 30
+ *                       trajanje:
+ *                         type: integer
+ *                         nullable: true
+ *                         example: null
+ *                   url:
+ *                     type: string
+ *                     format: uri
+ *                     example: http://localhost:3000/storitve/4-mosko-strizenje
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Pridobivanje specializacij prijavljenega frizerja
+router.get('/specializacije', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res, next) => {
+    try {
+        const [rows] = await pool.query(`
+            SELECT
+                s.ID, s.Ime, s.Aktivna, s.Arhivirano, s.Cena, s.Trajanje,
+                p.Cena AS Cena_frizerja, p.Trajanje AS Trajanje_frizerja
+            FROM specializacija sp
+            JOIN storitve s ON s.ID = sp.Storitve_id
+            LEFT JOIN prilagoditve_storitev p ON p.Frizerji_id = sp.Frizerji_id AND p.Storitve_id = s.ID
+            WHERE sp.Frizerji_id = ?
+            ORDER BY s.Vrstni_red, s.Ime`,
+            [req.user.ID]
+        );
+
+        res.json(rows.map(row => ({
+            id: row.ID,
+            naziv: row.Ime,
+            aktivna: Boolean(row.Aktivna),
+            arhivirana: row.Arhivirano !== null,
+            cena: Number(row.Cena_frizerja ?? row.Cena),
+            trajanje: Number(row.Trajanje_frizerja ?? row.Trajanje),
+            prilagoditev: {
+                cena: row.Cena_frizerja === null ? null : Number(row.Cena_frizerja),
+                trajanje: row.Trajanje_frizerja
+            },
+            url: utils.urlVira(req, `/storitve/${row.ID}-${utils.createSlug(row.Ime)}`)
+        })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /frizerji/specializacije:
+ *   post:
+ *     summary: Dodaj specializacije prijavljenemu frizerju
+ *     description: |
+ *       Prijavljenemu frizerju doda storitve, ki jih izvaja. Storitve so podane z ID-ji ali nazivi
+ *       in ne smejo biti arhivirane. Storitve, ki jih frizer že izvaja, so preskočene.
+ *     tags:
+ *       - Frizerji
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storitve
+ *             properties:
+ *               storitve:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   oneOf:
+ *                     - type: integer
+ *                       description: ID storitve
+ *                     - type: string
+ *                       description: Naziv storitve
+ *                 example: [4, "Britje"]
+ *     responses:
+ *       200:
+ *         description: Specializacije uspešno dodane
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Specializacije uspešno dodane.
+ *                 dodane:
+ *                   type: integer
+ *                   example: 1
+ *                   description: Število novih specializacij
+ *       400:
+ *         description: Neveljaven seznam storitev
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Neznane storitve: Britje."
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Dodajanje specializacij
+router.post('/specializacije', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res, next) => {
+    try {
+        const { napaka, storitve } = await poisciStoritve(pool, req.body.storitve);
+        if (napaka) {
+            return res.status(400).json({ message: napaka });
+        }
+
+        const [result] = await pool.query(`
+            INSERT IGNORE INTO specializacija (Frizerji_id, Storitve_id)
+            VALUES ?`,
+            [storitve.map(storitev_ID => [req.user.ID, storitev_ID])]
+        );
+
+        res.json({
+            message: 'Specializacije uspešno dodane.',
+            dodane: result.affectedRows
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /frizerji/specializacije/{storitev_id}:
+ *   put:
+ *     summary: Nastavi ceno in trajanje storitve pri prijavljenem frizerju
+ *     description: |
+ *       Frizer storitvi, ki jo izvaja, nastavi svojo ceno in trajanje. Vrednost `null` pomeni vrednost iz kataloga,
+ *       polje, ki ni podano, ostane nespremenjeno. Razpoložljivost, predogled in rezervacija pri tem frizerju uporabljajo te vrednosti.
+ *       Že rezervirani termini obdržijo ceno in trajanje ob rezervaciji; prihodnji termini z drugačnim trajanjem
+ *       so v agendi označeni z `neusklajeno_trajanje`.
+ *     tags:
+ *       - Frizerji
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storitev_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID storitve
+ *         example: 4
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Cena:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 example: 30
+ *                 description: Cena v evrih (največ dve decimalki)
+ *               Trajanje:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 600
+ *                 example: null
+ *                 description: Trajanje v minutah
+ *     responses:
+ *       200:
+ *         description: Cena in trajanje uspešno nastavljena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Cena in trajanje storitve uspešno nastavljena.
+ *                 cena:
+ *                   type: number
+ *                   example: 30
+ *                 trajanje:
+ *                   type: integer
+ *                   example: 45
+ *                 neusklajeni_termini:
+ *                   type: integer
+ *                   example: 1
+ *                   description: Število prihodnjih rezerviranih terminov frizerja, katerih trajanje ob rezervaciji se razlikuje od novega
+ *       400:
+ *         description: Neveljavni podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Trajanje mora biti celo število minut med 1 in 600.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Frizer te storitve ne izvaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Specializacija ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Cena in trajanje storitve pri frizerju
+router.put('/specializacije/:storitev_id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res, next) => {
+    const { Cena, Trajanje } = req.body;
+    const prilagoditev = {};
+
+    if (Cena !== undefined) {
+        if (Cena !== null && !/^\d+(\.\d{1,2})?$/.test(String(Cena))) {
+            return res.status(400).json({ message: 'Cena mora biti nenegativno število z največ dvema decimalkama.' });
+        }
+        prilagoditev.Cena = Cena === null ? null : Number(Cena);
+    }
+
+    if (Trajanje !== undefined) {
+        if (Trajanje !== null && (!Number.isInteger(Trajanje) || Trajanje <= 0 || Trajanje > 600)) {
+            return res.status(400).json({ message: 'Trajanje mora biti celo število minut med 1 in 600.' });
+        }
+        prilagoditev.Trajanje = Trajanje;
+    }
+
+    if (Object.keys(prilagoditev).length === 0) {
+        return res.status(400).json({ message: 'Podajte ceno ali trajanje.' });
+    }
+
+    const frizer_ID = req.user.ID;
+    const storitev_ID = Number(req.params.storitev_id);
+
+    try {
+        const [[specializacija]] = await pool.query(`
+            SELECT ID
+            FROM specializacija
+            WHERE Frizerji_id = ? AND Storitve_id = ?`,
+            [frizer_ID, storitev_ID]
+        );
+
+        if (!specializacija) {
+            return res.status(404).json({ message: 'Specializacija ne obstaja.' });
+        }
+
+        await pool.query(`
+            INSERT INTO prilagoditve_storitev
+            SET ?
+            ON DUPLICATE KEY UPDATE ?`,
+            [{ Frizerji_id: frizer_ID, Storitve_id: storitev_ID, ...prilagoditev }, prilagoditev]
+        );
+
+        // Prilagoditev brez vrednosti ni potrebna
+        await pool.query(`
+            DELETE FROM prilagoditve_storitev
+            WHERE Frizerji_id = ? AND Storitve_id = ?
+              AND Cena IS NULL AND Trajanje IS NULL`,
+            [frizer_ID, storitev_ID]
+        );
+
+        const { cena, trajanje } = await urnik.storitveFrizerja(pool, frizer_ID, [storitev_ID]);
+
+        const [[{ neusklajeni }]] = await pool.query(`
+            SELECT COUNT(DISTINCT t.ID) AS neusklajeni
+            FROM termini t
+            JOIN termini_storitve ts ON ts.Termini_id = t.ID
+            WHERE t.Frizerji_id = ?
+              AND ts.Storitve_id = ?
+              AND ts.Trajanje <> ?
+              AND t.Status = 'Rezervirano'
+              AND t.Cas_termina > NOW()`,
+            [frizer_ID, storitev_ID, trajanje]
+        );
+
+        res.json({
+            message: 'Cena in trajanje storitve uspešno nastavljena.',
+            cena,
+            trajanje,
+            neusklajeni_termini: Number(neusklajeni)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /frizerji/specializacije/{storitev_id}:
+ *   delete:
+ *     summary: Odstrani specializacijo prijavljenega frizerja
+ *     description: |
+ *       Frizer preneha izvajati storitev, zato je stranke pri njem ne morejo več rezervirati.
+ *       Že rezervirani prihodnji termini s to storitvijo ostanejo veljavni, njihovo število je vrnjeno v odgovoru.
+ *     tags:
+ *       - Frizerji
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storitev_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID storitve
+ *         example: 4
+ *     responses:
+ *       200:
+ *         description: Specializacija uspešno odstranjena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Specializacija uspešno odstranjena.
+ *                 prihodnji_termini:
+ *                   type: integer
+ *                   example: 2
+ *                   description: Število prihodnjih rezerviranih terminov frizerja s to storitvijo
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Frizer te storitve ne izvaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Specializacija ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Odstranjevanje specializacij
+router.delete('/specializacije/:storitev_id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res, next) => {
+    try {
+        const [result] = await pool.query(`
+            DELETE FROM specializacija
+            WHERE Frizerji_id = ? AND Storitve_id = ?`,
+            [req.user.ID, req.params.storitev_id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Specializacija ne obstaja.' });
+        }
+
+        const [[{ stevilo }]] = await pool.query(`
+            SELECT COUNT(*) AS stevilo
+            FROM termini t
+            JOIN termini_storitve ts ON ts.Termini_id = t.ID
+            WHERE t.Frizerji_id = ?
+              AND ts.Storitve_id = ?
+              AND t.Status = 'Rezervirano'
+              AND t.Cas_termina > NOW()`,
+            [req.user.ID, req.params.storitev_id]
+        );
+
+        res.json({
+            message: 'Specializacija uspešno odstranjena.',
+            prihodnji_termini: Number(stevilo)
+        });
     } catch (err) {
         next(err);
     }
@@ -428,6 +1535,7 @@ router.get('/', async (req, res, next) => {
  *                         id:
  *                           type: integer
  *                           example: 1
+ *                           description: ID storitve
  *                         naziv:
  *                           type: string
  *                           example: Moško striženje
@@ -467,14 +1575,16 @@ router.get('/info', async (req, res, next) => {
                 f.Telefon,
                 f.Opis,
                 s.ID AS specializacija_id,
-                s.Naziv AS specializacija,
+                s.Ime AS specializacija,
                 d.ID AS delovnik_id,
                 DATE_FORMAT(d.Dan, '%Y-%m-%d') AS Dan,
                 d.Zacetek,
                 d.Konec
             FROM frizerji f
-            LEFT JOIN specializacija s ON f.ID = s.Frizerji_id
+            LEFT JOIN specializacija sp ON f.ID = sp.Frizerji_id
+            LEFT JOIN storitve s ON s.ID = sp.Storitve_id AND s.Arhivirano IS NULL
             LEFT JOIN delovnik d ON f.ID = d.Frizerji_id
+            WHERE f.Aktiven = TRUE
             ORDER BY f.ID
         `);
 
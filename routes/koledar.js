@@ -0,0 +1,438 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js');
+const utils = require('../utils/utils.js');
+const auth = require('../utils/auth.js');
+const ical = require('../utils/ical.js');
+const koledar = require('../utils/koledar.js');
+
+// Koledar vsebuje termine od PRETEKLI_DNI dni nazaj naprej
+const PRETEKLI_DNI = 90;
+
+function posljiKoledar(res, datoteka, vsebina) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${datoteka}"`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.send(vsebina);
+}
+
+/**
+ * @swagger
+ * /koledar/povezava:
+ *   get:
+ *     summary: URL zasebnega koledarja
+ *     description: |
+ *       Vrne URL zasebnega koledarja (.ics) prijavljenega uporabnika ali frizerja.
+ *       URL vsebuje žeton, zato ga koledarske aplikacije lahko naročijo brez prijave. Če žetona še ni, se ustvari.
+ *     tags:
+ *       - Koledar
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: URL koledarja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ics_url:
+ *                   type: string
+ *                   format: uri
+ *                   example: http://localhost:3000/koledar/uporabnik/5d41402abc4b2a76b9719d911017c592a1b2c3d4e5f60718.ics
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/povezava', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik', 'frizer'), async (req, res) => {
+    try {
+        const zeton = await koledar.zetonKoledarja(req.user.role, req.user.ID);
+        res.json({ ics_url: koledar.urlKoledarja(req, req.user.role, zeton) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri pridobivanju koledarja.' });
+    }
+});
+
+/**
+ * @swagger
+ * /koledar/povezava:
+ *   post:
+ *     summary: Nov URL zasebnega koledarja
+ *     description: |
+ *       Ustvari nov žeton koledarja in vrne nov URL. Stari URL preneha delovati (npr. če je bil deljen po nesreči).
+ *     tags:
+ *       - Koledar
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Nov URL koledarja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ics_url:
+ *                   type: string
+ *                   format: uri
+ *                   example: http://localhost:3000/koledar/uporabnik/0cc175b9c0f1b6a831c399e269772661a1b2c3d4e5f60718.ics
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/povezava', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik', 'frizer'), async (req, res) => {
+    try {
+        const zeton = await koledar.zetonKoledarja(req.user.role, req.user.ID, true);
+        res.json({ ics_url: koledar.urlKoledarja(req, req.user.role, zeton) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri ustvarjanju koledarja.' });
+    }
+});
+
+// Koledar računa z žetonom iz URL-ja
+function koledarVloge(vloga) {
+    const { tabela, stolpec } = koledar.VLOGE[vloga];
+
+    return async (req, res) => {
+        try {
+            const [[racun]] = await pool.query(`
+                SELECT ID, Ime, Priimek
+                FROM ${tabela}
+                WHERE Koledar_zeton = ? AND Aktiven = TRUE`,
+                [req.params.zeton]
+            );
+
+            if (!racun) {
+                return res.status(404).json({ message: 'Koledar ne obstaja.' });
+            }
+
+            const termini = await utils.pridobiTermine(`
+                t.${stolpec} = ?
+                AND t.Cas_termina >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+                [racun.ID, PRETEKLI_DNI]);
+
+            posljiKoledar(res, 'termini.ics',
+                ical.koledar(`Termini - ${racun.Ime} ${racun.Priimek}`, termini, vloga));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Napaka pri pripravi koledarja.' });
+        }
+    };
+}
+
+/**
+ * @swagger
+ * /koledar/uporabnik/{zeton}.ics:
+ *   get:
+ *     summary: Zasebni koledar uporabnika
+ *     description: |
+ *       Koledar iCalendar s termini uporabnika (od `90` dni nazaj naprej). Dostop je zaščiten z žetonom v URL-ju.
+ *       Vsak dogodek vsebuje storitve, konec termina in status. Preklicani termini so dogodki s `STATUS:CANCELLED`,
+ *       ob vsaki spremembi termina se poveča `SEQUENCE`, zato koledarske aplikacije dogodek posodobijo.
+ *     tags:
+ *       - Koledar
+ *     parameters:
+ *       - in: path
+ *         name: zeton
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Žeton koledarja (iz `/koledar/povezava`)
+ *     responses:
+ *       200:
+ *         description: Koledar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Koledar ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Koledar ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/uporabnik/:zeton.ics', koledarVloge('uporabnik'));
+
+/**
+ * @swagger
+ * /koledar/frizer/{zeton}.ics:
+ *   get:
+ *     summary: Zasebni koledar frizerja
+ *     description: |
+ *       Koledar iCalendar s termini frizerja (od `90` dni nazaj naprej). Dostop je zaščiten z žetonom v URL-ju.
+ *       Povzetek dogodka vsebuje storitve in ime stranke.
+ *     tags:
+ *       - Koledar
+ *     parameters:
+ *       - in: path
+ *         name: zeton
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Žeton koledarja (iz `/koledar/povezava`)
+ *     responses:
+ *       200:
+ *         description: Koledar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Koledar ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Koledar ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/frizer/:zeton.ics', koledarVloge('frizer'));
+
+// Prenos enega termina računa z žetonom koledarja v URL-ju
+function terminVloge(vloga) {
+    const { tabela, stolpec } = koledar.VLOGE[vloga];
+
+    return async (req, res) => {
+        try {
+            const termini = await utils.pridobiTermine(`
+                t.ID = ?
+                AND t.${stolpec} = (SELECT ID FROM ${tabela} WHERE Koledar_zeton = ? AND Aktiven = TRUE)`,
+                [req.params.id, req.params.zeton]);
+
+            if (termini.length === 0) {
+                return res.status(404).json({ message: 'Termin ne obstaja.' });
+            }
+
+            posljiKoledar(res, `termin-${termini[0].termin_ID}.ics`,
+                ical.koledar('Termin', termini, vloga));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Napaka pri pripravi termina.' });
+        }
+    };
+}
+
+/**
+ * @swagger
+ * /koledar/uporabnik/{zeton}/termini/{id}.ics:
+ *   get:
+ *     summary: Prenos enega termina uporabnika v koledar z žetonom
+ *     description: |
+ *       Vrne datoteko .ics z enim terminom uporabnika. Dostop je zaščiten z žetonom koledarja v URL-ju,
+ *       zato povezavo lahko odpre brskalnik ali koledarska aplikacija brez prijave. Z novim žetonom (`POST /koledar/povezava`) povezava preneha delovati.
+ *     tags:
+ *       - Koledar
+ *     parameters:
+ *       - in: path
+ *         name: zeton
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Žeton koledarja (iz `/koledar/povezava`)
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina
+ *         example: 12
+ *     responses:
+ *       200:
+ *         description: Datoteka .ics s terminom
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Termin ne obstaja ali žeton ni veljaven
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/uporabnik/:zeton/termini/:id.ics', terminVloge('uporabnik'));
+
+/**
+ * @swagger
+ * /koledar/frizer/{zeton}/termini/{id}.ics:
+ *   get:
+ *     summary: Prenos enega termina frizerja v koledar z žetonom
+ *     description: |
+ *       Vrne datoteko .ics z enim terminom frizerja. Dostop je zaščiten z žetonom koledarja v URL-ju,
+ *       zato povezavo lahko odpre brskalnik ali koledarska aplikacija brez prijave. Z novim žetonom (`POST /koledar/povezava`) povezava preneha delovati.
+ *     tags:
+ *       - Koledar
+ *     parameters:
+ *       - in: path
+ *         name: zeton
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Žeton koledarja (iz `/koledar/povezava`)
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina
+ *         example: 12
+ *     responses:
+ *       200:
+ *         description: Datoteka .ics s terminom
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Termin ne obstaja ali žeton ni veljaven
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/frizer/:zeton/termini/:id.ics', terminVloge('frizer'));
+
+/**
+ * @swagger
+ * /koledar/termini/{id}.ics:
+ *   get:
+ *     summary: Prenos enega termina v koledar
+ *     description: |
+ *       Vrne datoteko .ics z enim terminom prijavljenega uporabnika ali frizerja. Zahteva glavo Authorization;
+ *       povezavo za brskalnik ali koledarsko aplikacijo vrne `/termini/rezervacija` v polju `ics_url` (glej `/koledar/uporabnik/{zeton}/termini/{id}.ics`).
+ *     tags:
+ *       - Koledar
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina
+ *         example: 12
+ *     responses:
+ *       200:
+ *         description: Datoteka .ics s terminom
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Termin ne obstaja ali ni termin prijavljenega računa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/termini/:id.ics', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik', 'frizer'), async (req, res) => {
+    try {
+        const { stolpec } = koledar.VLOGE[req.user.role];
+
+        const termini = await utils.pridobiTermine(`t.ID = ? AND t.${stolpec} = ?`, [req.params.id, req.user.ID]);
+
+        if (termini.length === 0) {
+            return res.status(404).json({ message: 'Termin ne obstaja.' });
+        }
+
+        posljiKoledar(res, `termin-${termini[0].termin_ID}.ics`,
+            ical.koledar('Termin', termini, req.user.role));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri pripravi termina.' });
+    }
+});
+
+module.exports = router;
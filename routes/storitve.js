@@ -4,17 +4,143 @@ const pool = require('../utils/db.js');
 const utils = require('../utils/utils.js');
 const auth = require('../utils/auth.js');
 
+// Storitev z ID-jem iz zahteve, ki ni arhivirana.
+// Arhivirane storitve so še vedno dostopne (zaradi zgodovine terminov), ni pa jih mogoče urejati.
+function preveriNearhivirano(req, res, next) {
+    if (req.storitev.Arhivirano) {
+        return res.status(409).json({ message: 'Storitev je arhivirana.' });
+    }
+
+    next();
+}
+
+// Validira podatke storitve. Pri posodobitvi (`delno`) so vsa polja neobvezna.
+// Vrne { napaka } ali { storitev } s stolpci za bazo.
+function preveriStoritev(podatki, delno = false) {
+    const { Ime, Opis, Trajanje, Cena, Kategorija, Aktivna, Vrstni_red, Rok_preklica_ur } = podatki;
+    const storitev = {};
+
+    if (!delno && [Ime, Opis, Trajanje, Cena].some(v => v === undefined || v === null || v === '')) {
+        return { napaka: 'Manjkajoči podatki (Ime, Opis, Trajanje, Cena).' };
+    }
+
+    if (Ime !== undefined) {
+        if (typeof Ime !== 'string' || !Ime.trim() || Ime.trim().length > 100 || !utils.createSlug(Ime.trim())) {
+            return { napaka: 'Ime storitve mora imeti od 1 do 100 znakov in vsaj eno črko ali številko.' };
+        }
+        storitev.Ime = Ime.trim();
+    }
+
+    if (Opis !== undefined) {
+        if (typeof Opis !== 'string' || !Opis.trim() || Opis.length > 1000) {
+            return { napaka: 'Opis storitve mora imeti od 1 do 1000 znakov.' };
+        }
+        storitev.Opis = Opis.trim();
+    }
+
+    if (Trajanje !== undefined) {
+        const TrajanjeNum = Number(Trajanje);
+        if (!Number.isInteger(TrajanjeNum) || TrajanjeNum <= 0 || TrajanjeNum > 600) {
+            return { napaka: 'Trajanje mora biti celo število minut med 1 in 600.' };
+        }
+        storitev.Trajanje = TrajanjeNum;
+    }
+
+    if (Cena !== undefined) {
+        if (!/^\d+(\.\d{1,2})?$/.test(String(Cena))) {
+            return { napaka: 'Cena mora biti nenegativno število z največ dvema decimalkama.' };
+        }
+        storitev.Cena = Number(Cena);
+    }
+
+    if (Kategorija !== undefined) {
+        if (Kategorija !== null && (typeof Kategorija !== 'string' || Kategorija.trim().length > 100)) {
+            return { napaka: 'Kategorija ima lahko največ 100 znakov.' };
+        }
+        storitev.Kategorija = Kategorija?.trim() || null;
+    }
+
+    if (Aktivna !== undefined) {
+        if (typeof Aktivna !== 'boolean') {
+            return { napaka: 'Aktivna mora biti true ali false.' };
+        }
+        storitev.Aktivna = Aktivna;
+    }
+
+    if (Vrstni_red !== undefined) {
+        if (!Number.isInteger(Vrstni_red)) {
+            return { napaka: 'Vrstni red mora biti celo število.' };
+        }
+        storitev.Vrstni_red = Vrstni_red;
+    }
+
+    // Rok brezplačnega preklica v urah; null pomeni, da velja rok salona (ROK_PREKLICA_UR)
+    if (Rok_preklica_ur !== undefined) {
+        if (Rok_preklica_ur !== null && (!Number.isInteger(Rok_preklica_ur) || Rok_preklica_ur < 0)) {
+            return { napaka: 'Rok preklica mora biti nenegativno celo število ur ali null.' };
+        }
+        storitev.Rok_preklica_ur = Rok_preklica_ur;
+    }
+
+    if (delno && Object.keys(storitev).length === 0) {
+        return { napaka: 'Ni podatkov za posodobitev.' };
+    }
+
+    return { storitev };
+}
+
+// Ali ime že uporablja druga storitev
+async function imeZasedeno(db, Ime, izkljuci_ID = null) {
+    const [rows] = await db.query(`
+        SELECT ID
+        FROM storitve
+        WHERE Ime = ? AND ID <> ?`,
+        [Ime, izkljuci_ID ?? 0]
+    );
+
+    return rows.length > 0;
+}
+
+function urlStoritve(req, ID, Ime) {
+    return utils.urlVira(req, `/storitve/${ID}-${utils.createSlug(Ime)}`);
+}
+
 /**
  * @swagger
  * /storitve:
  *   get:
  *     summary: Pridobi seznam vseh storitev
  *     description: |
- *       Vrne seznam vseh storitev, ki so na voljo v sistemu. 
+ *       Vrne seznam vseh storitev, ki so na voljo v sistemu, urejen po vrstnem redu prikaza in nazivu.
+ *       Privzeto so vrnjene samo aktivne storitve; s filtrom `aktivna` lahko pridobimo neaktivne ali vse.
+ *       Arhivirane storitve niso vrnjene, razen s filtrom `arhivirane=true`, ki vrne samo arhivirane.
  *       Vsaka storitev vsebuje enolični `ID`, `naziv` ter `URL` do podrobnosti storitve, ki se lahko uporablja za prikaz dodatnih informacij v uporabniškem vmesniku.
  *       URL vsebuje kombinacijo `ID` in formatiranega naziva (slug) za boljšo berljivost, npr. `12-zensko-strizenje`.
  *     tags:
  *       - Storitve
+ *     parameters:
+ *       - in: query
+ *         name: kategorija
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Samo storitve izbrane kategorije
+ *         example: Barvanje
+ *       - in: query
+ *         name: aktivna
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false', vse]
+ *           default: 'true'
+ *         description: Aktivne, neaktivne ali vse storitve
+ *       - in: query
+ *         name: arhivirane
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Namesto kataloga vrne arhivirane storitve
  *     responses:
  *       200:
  *         description: Uspešno pridobljen seznam storitev
@@ -33,23 +159,75 @@ const auth = require('../utils/auth.js');
  *                     type: string
  *                     example: Žensko striženje
  *                     description: Naziv storitve
+ *                   kategorija:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Striženje
+ *                   aktivna:
+ *                     type: boolean
+ *                     example: true
+ *                   vrstni_red:
+ *                     type: integer
+ *                     example: 1
+ *                   arhivirano:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                     example: null
+ *                     description: Čas arhiviranja (samo pri arhiviranih storitvah)
  *                   url:
  *                     type: string
  *                     format: uri
  *                     example: http://localhost:3000/storitve/12-zensko-strizenje
  *                     description: URL do podrobnosti storitve
+ *       400:
+ *         description: Neveljaven filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Filter aktivna mora biti true, false ali vse.
  *       500:
  *         description: Napaka na strežniku
  */
 // Pridobivanje id-jev in nazivov vseh storitev + link do podrobnosti
 router.get('/', async (req, res, next) => {
+    const { kategorija, aktivna = 'true', arhivirane = 'false' } = req.query;
+
+    if (!['true', 'false', 'vse'].includes(aktivna)) {
+        return res.status(400).json({ message: 'Filter aktivna mora biti true, false ali vse.' });
+    }
+
+    if (!['true', 'false'].includes(arhivirane)) {
+        return res.status(400).json({ message: 'Filter arhivirane mora biti true ali false.' });
+    }
+
     try {
-        const [rows] = await pool.execute('SELECT ID, Ime FROM storitve');
+        const [rows] = await pool.query(`
+            SELECT ID, Ime, Kategorija, Aktivna, Vrstni_red, Arhivirano
+            FROM storitve
+            WHERE (? IS NULL OR Kategorija = ?)
+              AND (? IS NULL OR Aktivna = ?)
+              AND (Arhivirano IS NOT NULL) = ?
+            ORDER BY Vrstni_red, Ime`,
+            [
+                kategorija ?? null, kategorija ?? null,
+                aktivna === 'vse' ? null : aktivna === 'true', aktivna === 'vse' ? null : aktivna === 'true',
+                arhivirane === 'true'
+            ]
+        );
 
         const result = rows.map(row => ({
             id: row.ID,
             naziv: row.Ime,
-            url: utils.urlVira(req, `/storitve/${row.ID}-${utils.createSlug(row.Ime)}`)
+            kategorija: row.Kategorija,
+            aktivna: Boolean(row.Aktivna),
+            vrstni_red: row.Vrstni_red,
+            arhivirano: row.Arhivirano,
+            url: urlStoritve(req, row.ID, row.Ime)
         }));
 
         res.json(result);
@@ -58,6 +236,167 @@ router.get('/', async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /storitve:
+ *   post:
+ *     summary: Dodaj novo storitev
+ *     description: |
+ *       Doda novo storitev v katalog. Ime storitve mora biti unikatno.
+ *       V odgovoru je URL storitve v obliki `id-slug`, npr. `12-zensko-strizenje`.
+ *       Na voljo samo administratorju.
+ *     tags:
+ *       - Storitve
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Ime
+ *               - Opis
+ *               - Trajanje
+ *               - Cena
+ *             properties:
+ *               Ime:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Žensko striženje
+ *               Opis:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Klasično žensko striženje
+ *               Trajanje:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 600
+ *                 example: 60
+ *                 description: Trajanje v minutah
+ *               Cena:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 25.5
+ *                 description: Cena v evrih (največ dve decimalki)
+ *               Kategorija:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Striženje
+ *               Aktivna:
+ *                 type: boolean
+ *                 default: true
+ *                 example: true
+ *               Vrstni_red:
+ *                 type: integer
+ *                 default: 0
+ *                 example: 1
+ *                 description: Vrstni red prikaza v katalogu (manjše število je prej)
+ *               Rok_preklica_ur:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 0
+ *                 example: 48
+ *                 description: Rok brezplačnega preklica v urah; null (privzeto) pomeni rok salona
+ *     responses:
+ *       201:
+ *         description: Storitev uspešno dodana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Storitev uspešno dodana.
+ *                 id:
+ *                   type: integer
+ *                   example: 12
+ *                 naziv:
+ *                   type: string
+ *                   example: Žensko striženje
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *                   example: http://localhost:3000/storitve/12-zensko-strizenje
+ *       400:
+ *         description: Neveljavni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Manjkajoči podatki (Ime, Opis, Trajanje, Cena).
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       409:
+ *         description: Storitev s tem imenom že obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Storitev s tem imenom že obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Dodajanje storitev
+router.post('/', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res, next) => {
+    const { napaka, storitev } = preveriStoritev(req.body);
+
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    try {
+        if (await imeZasedeno(pool, storitev.Ime)) {
+            return res.status(409).json({ message: 'Storitev s tem imenom že obstaja.' });
+        }
+
+        const [result] = await pool.query(`
+            INSERT INTO storitve
+            SET ?`,
+            [storitev]
+        );
+
+        res.status(201).json({
+            message: 'Storitev uspešno dodana.',
+            id: result.insertId,
+            naziv: storitev.Ime,
+            url: urlStoritve(req, result.insertId, storitev.Ime)
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Storitev s tem imenom že obstaja.' });
+        }
+
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /storitve/{id-naziv}:
@@ -76,7 +415,7 @@ router.get('/', async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^\d+-[a-z]+(?:-[a-z]+)*$'
+ *           pattern: '^\d+-[a-z0-9]+(?:-[a-z0-9]+)*$'
  *         description: Identifikator storitve v obliki `id-naziv`
  *         example: 12-zensko-strizenje
  *     responses:
@@ -102,6 +441,27 @@ router.get('/', async (req, res, next) => {
  *                 Cena:
  *                   type: string
  *                   example: "15.00"
+ *                 Kategorija:
+ *                   type: string
+ *                   nullable: true
+ *                   example: Striženje
+ *                 Aktivna:
+ *                   type: integer
+ *                   example: 1
+ *                 Vrstni_red:
+ *                   type: integer
+ *                   example: 1
+ *                 Rok_preklica_ur:
+ *                   type: integer
+ *                   nullable: true
+ *                   example: null
+ *                   description: Rok brezplačnega preklica v urah; null pomeni rok salona
+ *                 Arhivirano:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   example: null
+ *                   description: Čas arhiviranja; arhivirane storitve ostanejo dostopne zaradi zgodovine terminov
  *       400:
  *         description: Neveljaven format parametra `naziv`
  *         content:
@@ -126,7 +486,7 @@ router.get('/', async (req, res, next) => {
  *         description: Napaka na strežniku
  */
 // Pridobivanje podrobnosti določene storitve glede na naziv
-router.get('/:id-naziv', utils.resolveStoritev, (req, res) => {
+router.get('/:naziv', utils.resolveStoritev, (req, res) => {
     res.json(req.storitev);
 });
 
@@ -136,7 +496,8 @@ router.get('/:id-naziv', utils.resolveStoritev, (req, res) => {
  *   put:
  *     summary: Posodobi določeno storitev
  *     description: |
- *       Omogoča posodobitev podatkov določene storitve.
+ *       Omogoča posodobitev podatkov določene storitve. Na voljo samo administratorju;
+ *       frizer lahko svojo ceno in trajanje nastavi na `/frizerji/specializacije/{storitev_id}`.
  *       Parameter v URL-ju je kombinacija `id-naziv`, kjer se za poizvedbo uporabi samo `id`.  
  *       Parameter `naziv` je v obliki `slug`, torej formatiran za boljšo berljivost.  
  *       Primer: `12-zensko-strizenje`
@@ -150,7 +511,7 @@ router.get('/:id-naziv', utils.resolveStoritev, (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^\d+-[a-z]+(?:-[a-z]+)*$'
+ *           pattern: '^\d+-[a-z0-9]+(?:-[a-z0-9]+)*$'
  *         description: Identifikator storitve v obliki `id-naziv`
  *         example: 12-zensko-strizenje
  *     requestBody:
@@ -160,6 +521,10 @@ router.get('/:id-naziv', utils.resolveStoritev, (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               Ime:
+ *                 type: string
+ *                 example: Žensko striženje
+ *                 description: Nov naziv (mora biti unikaten, spremeni tudi URL storitve)
  *               Opis:
  *                 type: string
  *                 example: Posodobljen opis storitve
@@ -169,6 +534,22 @@ router.get('/:id-naziv', utils.resolveStoritev, (req, res) => {
  *               Cena:
  *                 type: string
  *                 example: "20.00"
+ *               Kategorija:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Striženje
+ *               Aktivna:
+ *                 type: boolean
+ *                 example: true
+ *               Vrstni_red:
+ *                 type: integer
+ *                 example: 1
+ *               Rok_preklica_ur:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 0
+ *                 example: 48
+ *                 description: Rok brezplačnega preklica v urah; null pomeni rok salona
  *     responses:
  *       200:
  *         description: Storitev uspešno posodobljena
@@ -180,6 +561,16 @@ router.get('/:id-naziv', utils.resolveStoritev, (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Storitev uspešno posodobljena.
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *                   example: http://localhost:3000/storitve/12-zensko-strizenje
+ *                 neusklajeni_termini:
+ *                   type: integer
+ *                   example: 3
+ *                   description: |
+ *                     Število prihodnjih rezerviranih terminov, katerih trajanje ob rezervaciji se ne ujema več s katalogom.
+ *                     Termini obdržijo ceno in trajanje ob rezervaciji, v agendi frizerja so označeni z `neusklajeno_trajanje`.
  *       400:
  *         description: Neveljaven format parametra `naziv` ali podatkov
  *         content:
@@ -220,27 +611,74 @@ router.get('/:id-naziv', utils.resolveStoritev, (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Storitev ne obstaja.
+ *       409:
+ *         description: Storitev s tem imenom že obstaja ali je arhivirana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Storitev s tem imenom že obstaja.
  *       500:
  *         description: Napaka na strežniku
  */
 // Posodabljanje storitev
-router.put('/:id-naziv', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), utils.resolveStoritev, async (req, res, next) => {
+router.put('/:naziv', auth.avtentikacijaJWT, auth.dovoliRole('admin'), utils.resolveStoritev, preveriNearhivirano, async (req, res, next) => {
+    const { napaka, storitev } = preveriStoritev(req.body, true);
+
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    const connection = await pool.getConnection();
     try {
-        const { Opis, Trajanje, Cena } = req.body;
+        await connection.beginTransaction();
+
+        if (storitev.Ime && await imeZasedeno(connection, storitev.Ime, req.storitev.ID)) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Storitev s tem imenom že obstaja.' });
+        }
 
-        await pool.execute(`
+        await connection.query(`
             UPDATE storitve
-            SET Opis = ?, Trajanje = ?, Cena = ?
-            WHERE ID = ?`, 
-            [   Opis ?? req.storitev.Opis,
-                Trajanje ?? req.storitev.Trajanje, 
-                Cena ?? req.storitev.Cena, 
-                req.storitev.ID
-            ]);
-
-        res.json({ message: 'Storitev uspešno posodobljena.' });
+            SET ?
+            WHERE ID = ?`,
+            [storitev, req.storitev.ID]
+        );
+
+        // Prihodnji termini obdržijo trajanje ob rezervaciji, zato jih frizer pregleda v agendi
+        const [[{ neusklajeni }]] = await connection.query(`
+            SELECT COUNT(DISTINCT t.ID) AS neusklajeni
+            FROM termini t
+            JOIN termini_storitve ts ON ts.Termini_id = t.ID
+            JOIN storitve s ON s.ID = ts.Storitve_id
+            LEFT JOIN prilagoditve_storitev p ON p.Frizerji_id = t.Frizerji_id AND p.Storitve_id = s.ID
+            WHERE ts.Storitve_id = ?
+              AND ts.Trajanje <> COALESCE(p.Trajanje, s.Trajanje)
+              AND t.Status = 'Rezervirano'
+              AND t.Cas_termina > NOW()`,
+            [req.storitev.ID]
+        );
+
+        await connection.commit();
+
+        res.json({
+            message: 'Storitev uspešno posodobljena.',
+            url: urlStoritve(req, req.storitev.ID, storitev.Ime ?? req.storitev.Ime),
+            neusklajeni_termini: Number(neusklajeni)
+        });
     } catch (err) {
+        await connection.rollback();
+
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Storitev s tem imenom že obstaja.' });
+        }
+
         next(err);
+    } finally {
+        connection.release();
     }
 });
 
@@ -248,9 +686,12 @@ router.put('/:id-naziv', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), utils
  * @swagger
  * /storitve/{id-naziv}:
  *   delete:
- *     summary: Izbriši določeno storitev
+ *     summary: Arhiviraj določeno storitev
  *     description: |
- *       Omogoča brisanje določene storitve.
+ *       Storitev ni izbrisana, ampak arhivirana: ni več prikazana v katalogu in je ni mogoče rezervirati,
+ *       obstoječi termini pa jo še vedno prikazujejo. Že rezervirani prihodnji termini s to storitvijo ostanejo veljavni,
+ *       njihovo število je vrnjeno v odgovoru. Administrator lahko storitev obnovi.
+ *       Na voljo samo administratorju.
  *       Parameter v URL-ju je kombinacija `id-naziv`, kjer se za poizvedbo uporabi samo `id`.  
  *       Parameter `naziv` je v obliki `slug`, torej formatiran za boljšo berljivost.  
  *       Primer: `12-zensko-strizenje`
@@ -264,12 +705,12 @@ router.put('/:id-naziv', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), utils
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^\d+-[a-z]+(?:-[a-z]+)*$'
+ *           pattern: '^\d+-[a-z0-9]+(?:-[a-z0-9]+)*$'
  *         description: Identifikator storitve v obliki `id-naziv`
  *         example: 12-zensko-strizenje
  *     responses:
  *       200:
- *         description: Storitev uspešno izbrisana
+ *         description: Storitev uspešno arhivirana
  *         content:
  *           application/json:
  *             schema:
@@ -277,7 +718,11 @@ router.put('/:id-naziv', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), utils
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Storitev uspešno izbrisana.
+ *                   example: Storitev uspešno arhivirana.
+ *                 prihodnji_termini:
+ *                   type: integer
+ *                   example: 2
+ *                   description: Število prihodnjih rezerviranih terminov s to storitvijo
  *       400:
  *         description: Neveljaven format parametra `naziv`
  *         content:
@@ -318,15 +763,155 @@ router.put('/:id-naziv', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), utils
  *                 message:
  *                   type: string
  *                   example: Storitev ne obstaja.
+ *       409:
+ *         description: Storitev je že arhivirana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Storitev je arhivirana.
  *       500:
  *         description: Napaka na strežniku
  */
-// Brisanje storitev
-router.delete('/:id-naziv', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), utils.resolveStoritev, async (req, res, next) => {
+// Arhiviranje storitev
+router.delete('/:naziv', auth.avtentikacijaJWT, auth.dovoliRole('admin'), utils.resolveStoritev, preveriNearhivirano, async (req, res, next) => {
     try {
-        await pool.execute('DELETE FROM storitve WHERE ID = ?', [req.storitev.ID]);
+        await pool.query(`
+            UPDATE storitve
+            SET Arhivirano = NOW()
+            WHERE ID = ? AND Arhivirano IS NULL`,
+            [req.storitev.ID]
+        );
+
+        const [[{ stevilo }]] = await pool.query(`
+            SELECT COUNT(*) AS stevilo
+            FROM termini t
+            JOIN termini_storitve ts ON ts.Termini_id = t.ID
+            WHERE ts.Storitve_id = ?
+              AND t.Status = 'Rezervirano'
+              AND t.Cas_termina > NOW()`,
+            [req.storitev.ID]
+        );
+
+        res.json({
+            message: 'Storitev uspešno arhivirana.',
+            prihodnji_termini: Number(stevilo)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /storitve/{id-naziv}/obnovi:
+ *   post:
+ *     summary: Obnovi arhivirano storitev
+ *     description: |
+ *       Arhivirano storitev vrne v katalog. Storitev ohrani prejšnje podatke, tudi zastavico `Aktivna`.
+ *       Na voljo samo administratorju.
+ *     tags:
+ *       - Storitve
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id-naziv
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^\d+-[a-z0-9]+(?:-[a-z0-9]+)*$'
+ *         description: Identifikator storitve v obliki `id-naziv`
+ *         example: 12-zensko-strizenje
+ *     responses:
+ *       200:
+ *         description: Storitev uspešno obnovljena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Storitev uspešno obnovljena.
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *                   example: http://localhost:3000/storitve/12-zensko-strizenje
+ *       400:
+ *         description: Neveljaven format parametra `naziv`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neveljaven format naziva storitve.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Storitev ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Storitev ne obstaja.
+ *       409:
+ *         description: Storitev ni arhivirana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Storitev ni arhivirana.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Obnova arhiviranih storitev
+router.post('/:naziv/obnovi', auth.avtentikacijaJWT, auth.dovoliRole('admin'), utils.resolveStoritev, async (req, res, next) => {
+    if (!req.storitev.Arhivirano) {
+        return res.status(409).json({ message: 'Storitev ni arhivirana.' });
+    }
+
+    try {
+        await pool.query(`
+            UPDATE storitve
+            SET Arhivirano = NULL
+            WHERE ID = ?`,
+            [req.storitev.ID]
+        );
 
-        res.json({ message: 'Storitev uspešno izbrisana.' });
+        res.json({
+            message: 'Storitev uspešno obnovljena.',
+            url: urlStoritve(req, req.storitev.ID, req.storitev.Ime)
+        });
     } catch (err) {
         next(err);
     }
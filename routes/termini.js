@@ -3,6 +3,19 @@ const router = express.Router();
 const pool = require('../utils/db.js');
 const utils = require('../utils/utils.js');
 const auth = require('../utils/auth.js');
+const statusi = require('../utils/statusi.js');
+const urnik = require('../utils/urnik.js');
+const pravila = require('../utils/pravila.js');
+const obvestila = require('../utils/obvestila.js');
+const webhooki = require('../utils/webhooki.js');
+const koledar = require('../utils/koledar.js');
+const createError = require('http-errors');
+
+// Korak, ki ga zahteva odjemalec, mora biti večkratnik koraka salona,
+// sicer bi vrnili začetne ure, ki jih rezervacija zavrne
+function veljavenKorak(korak) {
+    return Number.isInteger(korak) && korak > 0 && korak % urnik.KORAK === 0;
+}
 
 /**
  * @swagger
@@ -11,7 +24,10 @@ const auth = require('../utils/auth.js');
  *     summary: Preverjanje razpoložljivosti termina
  *     description: |
  *       Vrne seznam možnih začetnih ur termina za izbranega frizerja, dan in kombinacijo storitev.
- *       Sistem upošteva delovni čas frizerja, trajanje izbranih storitev ter že obstoječe rezervacije.
+ *       Sistem upošteva delovni čas frizerja, trajanje izbranih storitev, že obstoječe rezervacije ter odsotnosti frizerja.
+ *       Med termini ostane čas za pripravo in čiščenje, kot je nastavljen za salon.
+ *       Vrnjeni so samo začetki, ki jih dovoljujejo pravila rezervacije (ne v preteklosti, najkrajša napoved, najdaljši horizont).
+ *       Če je podan `korak`, odgovor vsebuje tudi seznam diskretnih začetnih ur, poravnanih na ta korak.
  *       Endpoint ne ustvarja rezervacije, ampak služi izključno informativnemu preverjanju.
  *     tags:
  *       - Termini
@@ -44,6 +60,12 @@ const auth = require('../utils/auth.js');
  *                   type: integer
  *                   example: 1
  *                 description: Seznam ID-jev izbranih storitev
+ *               korak:
+ *                 type: integer
+ *                 example: 15
+ *                 description: |
+ *                   Korak začetnih ur v minutah (neobvezno). Mora biti večkratnik koraka salona (privzeto `15`),
+ *                   saj rezervacija sprejme samo začetke, poravnane na korak salona.
  *     responses:
  *       200:
  *         description: Uspešno preverjena razpoložljivost
@@ -55,7 +77,7 @@ const auth = require('../utils/auth.js');
  *                 trajanje_num:
  *                   type: integer
  *                   example: 90
- *                   description: Skupno trajanje izbranih storitev (v minutah)
+ *                   description: Skupno trajanje izbranih storitev pri izbranem frizerju (v minutah)
  *                 razpolozljivi_bloki:
  *                   type: array
  *                   minItems: 0
@@ -72,6 +94,16 @@ const auth = require('../utils/auth.js');
  *                     Seznam časovnih intervalov, v katerih je možen začetek termina. 
  *                     Uporabnik lahko izbere katerikoli čas med `"od"` in `"do"`. 
  *                     Prazen seznam pomeni, da ta dan ni razpoložljivih terminov.
+ *                 korak:
+ *                   type: integer
+ *                   example: 15
+ *                   description: Korak začetnih ur (samo, če je bil podan v zahtevi)
+ *                 zacetni_casi:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["10:00", "10:15", "10:30"]
+ *                   description: Možne začetne ure, poravnane na korak (samo, če je bil podan `korak`)
  *                 razlog:
  *                   type: string
  *                   nullable: true
@@ -122,12 +154,27 @@ const auth = require('../utils/auth.js');
  */
 router.post('/razpolozljivost', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res) => {
     try {
-        const { frizer_ID, dan, storitve } = req.body;
+        const { frizer_ID, dan, korak } = req.body;
 
-        if (!frizer_ID || !dan || !Array.isArray(storitve) || storitve.length === 0) {
+        if (!frizer_ID || !dan || !Array.isArray(req.body.storitve) || req.body.storitve.length === 0) {
             return res.status(400).json({ message: 'Manjkajoči podatki.' });
         }
 
+        // Podvojene storitve (npr. [3, 3]) štejemo enkrat
+        const storitve = utils.seznamStoritev(req.body.storitve);
+
+        if (!storitve) {
+            return res.status(400).json({ message: 'Neveljaven seznam storitev.' });
+        }
+
+        if (!utils.veljavenDatum(dan)) {
+            return res.status(400).json({ message: 'Neveljaven datum.' });
+        }
+
+        if (korak !== undefined && !veljavenKorak(korak)) {
+            return res.status(400).json({ message: `Korak mora biti večkratnik ${urnik.KORAK} minut.` });
+        }
+
         // Preveri, ali frizer obstaja
         const [[frizer]] = await pool.query(`
             SELECT ID 
@@ -140,76 +187,303 @@ router.post('/razpolozljivost', auth.avtentikacijaJWT, auth.dovoliRole('uporabni
         }
 
         // Preveri, ali frizer izvaja izbrane storitve
-        const [frizer_storitve] = await pool.query(`
-            SELECT s.ID 
-            FROM storitve s
-            JOIN specializacija sp ON s.Ime = sp.Naziv
-            WHERE sp.Frizerji_id = ? AND s.ID IN (?)`,
-            [frizer_ID, storitve]
-        );
-
-        if (frizer_storitve.length !== storitve.length) {
+        if (!(await urnik.izvajaStoritve(pool, frizer_ID, storitve))) {
             return res.status(400).json({ message: 'Frizer ne izvaja vseh izbranih storitev.' });
         }
 
-        // Izračunaj skupno trajanje storitev
-        const [[{ trajanje }]] = await pool.query(`
-            SELECT SUM(Trajanje) AS trajanje
+        // Izračunaj skupno trajanje storitev pri frizerju
+        const { trajanje: trajanje_num } = await urnik.storitveFrizerja(pool, frizer_ID, storitve);
+
+        if (!trajanje_num) {
+            return res.status(400).json({ message: 'Neveljavne storitve.' });
+        }
+
+        // Pridobi delovni čas, obstoječe rezervacije in odsotnosti frizerja
+        const dnevi = await urnik.urnikObdobja(pool, [frizer_ID], dan, dan);
+        const urnikDneva = dnevi.get(`${frizer_ID}|${dan}`);
+
+        if (!urnikDneva) {
+            return res.json({
+                trajanje_num,
+                razpolozljivi_bloki: [],
+                ...(korak !== undefined && { korak, zacetni_casi: [] }),
+                razlog: 'Frizer ne dela ta dan.'
+            });
+        }
+
+        // Izračunaj proste bloke (odsotnosti se upoštevajo enako kot rezervacije)
+        const prosti_bloki = utils.izracunajProsteBloke(urnikDneva.delovnik, urnikDneva.zasedeno);
+
+        // Izračunaj možne začetke, ki jih pravila rezervacije dovoljujejo
+        const razpolozljivi_bloki = pravila.omejiBloke(dan, utils.razpolozljiviBloki(prosti_bloki, trajanje_num, urnik.ODMIKI));
+
+        res.json({
+            trajanje_num,
+            razpolozljivi_bloki,
+            ...(korak !== undefined && { korak, zacetni_casi: utils.zacetniCasi(razpolozljivi_bloki, korak) })
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri preverjanju razpoložljivosti.' });
+    }
+});
+
+/**
+ * @swagger
+ * /termini/iskanje:
+ *   post:
+ *     summary: Iskanje prostih terminov v obdobju
+ *     description: |
+ *       Vrne razpoložljive začetke termina za izbrane storitve za vsak dan v obdobju od `od` do `do`
+ *       pri izbranem frizerju ali pri vseh frizerjih, ki izvajajo vse izbrane storitve.
+ *       Sistem upošteva delovni čas frizerjev, obstoječe rezervacije in odsotnosti, enako kot `/termini/razpolozljivost`.
+ *       Trajanje termina se lahko med frizerji razlikuje, saj lahko frizer storitvam nastavi svoje trajanje.
+ *       Odgovor vsebuje tudi prvi prosti termin (`prvi_prosti`), ki ga lahko uporabnik neposredno rezervira.
+ *       Če je podan `korak`, vsak dan vsebuje tudi seznam diskretnih začetnih ur, poravnanih na ta korak.
+ *       Obdobje je lahko dolgo največ 31 dni.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - od
+ *               - do
+ *               - storitve
+ *             properties:
+ *               od:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-06-10
+ *                 description: Začetek obdobja iskanja (YYYY-MM-DD)
+ *               do:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-06-17
+ *                 description: Konec obdobja iskanja (YYYY-MM-DD, vključno)
+ *               frizer_ID:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 3
+ *                 description: ID frizerja (neobvezno, brez njega se išče pri vseh frizerjih)
+ *               storitve:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: integer
+ *                   example: 1
+ *                 description: Seznam ID-jev izbranih storitev
+ *               korak:
+ *                 type: integer
+ *                 example: 30
+ *                 description: Korak začetnih ur v minutah (neobvezno, večkratnik koraka salona)
+ *     responses:
+ *       200:
+ *         description: Uspešno najdeni prosti termini
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 trajanje_num:
+ *                   type: integer
+ *                   example: 90
+ *                   description: Skupno trajanje izbranih storitev po katalogu (v minutah)
+ *                 prvi_prosti:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Najzgodnejši prosti termin v obdobju (null, če ga ni)
+ *                   properties:
+ *                     frizer_ID:
+ *                       type: integer
+ *                       example: 3
+ *                     frizer:
+ *                       type: string
+ *                       example: Ana Novak
+ *                     dan:
+ *                       type: string
+ *                       format: date
+ *                       example: 2025-06-10
+ *                     ura:
+ *                       type: string
+ *                       example: "10:00"
+ *                 frizerji:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       frizer_ID:
+ *                         type: integer
+ *                         example: 3
+ *                       frizer:
+ *                         type: string
+ *                         example: Ana Novak
+ *                       trajanje_num:
+ *                         type: integer
+ *                         example: 75
+ *                         description: Skupno trajanje izbranih storitev pri tem frizerju (v minutah)
+ *                       dnevi:
+ *                         type: array
+ *                         description: Dnevi, na katere je pri frizerju mogoč vsaj en termin
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             dan:
+ *                               type: string
+ *                               format: date
+ *                               example: 2025-06-10
+ *                             razpolozljivi_bloki:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   od:
+ *                                     type: string
+ *                                     example: "10:00"
+ *                                   do:
+ *                                     type: string
+ *                                     example: "11:30"
+ *                             zacetni_casi:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                               example: ["10:00", "10:30", "11:00"]
+ *                               description: Možne začetne ure (samo, če je bil podan `korak`)
+ *       400:
+ *         description: Neveljavni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Obdobje je lahko dolgo največ 31 dni.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/iskanje', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res) => {
+    try {
+        const { od, do: doDne, frizer_ID, korak } = req.body;
+
+        if (!od || !doDne || !Array.isArray(req.body.storitve) || req.body.storitve.length === 0) {
+            return res.status(400).json({ message: 'Manjkajoči podatki.' });
+        }
+
+        // Podvojene storitve (npr. [3, 3]) štejemo enkrat
+        const storitve = utils.seznamStoritev(req.body.storitve);
+
+        if (!storitve) {
+            return res.status(400).json({ message: 'Neveljaven seznam storitev.' });
+        }
+
+        if (korak !== undefined && !veljavenKorak(korak)) {
+            return res.status(400).json({ message: `Korak mora biti večkratnik ${urnik.KORAK} minut.` });
+        }
+
+        if (!utils.veljavenDatum(od) || !utils.veljavenDatum(doDne)) {
+            return res.status(400).json({ message: 'Neveljaven datum.' });
+        }
+
+        if (od > doDne) {
+            return res.status(400).json({ message: 'Začetek obdobja mora biti pred koncem.' });
+        }
+
+        if (utils.dodajDni(od, 30) < doDne) {
+            return res.status(400).json({ message: 'Obdobje je lahko dolgo največ 31 dni.' });
+        }
+
+        // Izračunaj skupno trajanje storitev po katalogu
+        const [[{ trajanje, stevilo }]] = await pool.query(`
+            SELECT SUM(Trajanje) AS trajanje, COUNT(*) AS stevilo
             FROM storitve
             WHERE ID IN (?)`,
             [storitve]
         );
 
-        if (!trajanje) {
+        if (!trajanje || Number(stevilo) !== new Set(storitve).size) {
             return res.status(400).json({ message: 'Neveljavne storitve.' });
         }
 
         const trajanje_num = Number(trajanje);
 
-        // Pridobi delovni čas
-        const [delovnik] = await pool.query(`
-            SELECT Zacetek, Konec
-            FROM delovnik
-            WHERE Frizerji_id = ? AND Dan = ?`,
-            [frizer_ID, dan]
-        );
+        // Frizerji, ki izvajajo vse izbrane storitve
+        const frizerji = await urnik.frizerjiZaStoritve(pool, storitve, frizer_ID || null);
 
-        if (delovnik.length === 0) {
-            return res.json({ trajanje_num, razpolozljivi_bloki: [], razlog: 'Frizer ne dela ta dan.' });
-        }
-
-        // Pridobi obstoječe rezervacije + njihovo trajanje
-        const [rezervacije] = await pool.query(`
-            SELECT 
-                TIME(t.Cas_termina) AS zacetek,
-                ADDTIME(
-                    TIME(t.Cas_termina),
-                    SEC_TO_TIME(SUM(s.Trajanje) * 60)
-                ) AS konec
-            FROM termini t
-            JOIN termini_storitve ts ON t.ID = ts.Termini_id
-            JOIN storitve s ON ts.Storitve_id = s.ID
-            WHERE t.Frizerji_id = ?
-              AND DATE(t.Cas_termina) = ?
-              AND t.Status = 'Rezervirano'
-            GROUP BY t.ID`,
-            [frizer_ID, dan]
-        );
+        // Delovniki, rezervacije in odsotnosti vseh frizerjev za celo obdobje
+        const dnevi = await urnik.urnikObdobja(pool, frizerji.map(f => f.ID), od, doDne);
+
+        // Frizerji imajo lahko za iste storitve različno trajanje
+        const storitvePriFrizerjih = await urnik.storitveFrizerjev(pool, frizerji.map(f => f.ID), storitve);
+
+        let prvi_prosti = null;
+
+        const rezultat = frizerji.map(f => {
+            const frizer = `${f.Ime} ${f.Priimek}`;
+            const trajanjeFrizerja = storitvePriFrizerjih.get(f.ID).trajanje;
+            const dneviFrizerja = [];
+
+            for (let dan = od; dan <= doDne; dan = utils.dodajDni(dan, 1)) {
+                const urnikDneva = dnevi.get(`${f.ID}|${dan}`);
+                if (!urnikDneva) continue;
+
+                const prosti_bloki = utils.izracunajProsteBloke(urnikDneva.delovnik, urnikDneva.zasedeno);
+                const razpolozljivi_bloki = pravila.omejiBloke(dan, utils.razpolozljiviBloki(prosti_bloki, trajanjeFrizerja, urnik.ODMIKI));
+
+                // Prvi prosti termin mora biti poravnan na korak salona, da ga je mogoče rezervirati
+                const [ura] = utils.zacetniCasi(razpolozljivi_bloki, urnik.KORAK).sort();
 
-        // Izračunaj proste bloke
-        const prosti_bloki = utils.izracunajProsteBloke(delovnik, rezervacije);
+                if (!ura) continue;
 
-        // Izračunaj možne začetke
-        const razpolozljivi_bloki = utils.razpolozljiviBloki(prosti_bloki, trajanje_num);
+                dneviFrizerja.push({
+                    dan,
+                    razpolozljivi_bloki,
+                    ...(korak !== undefined && { zacetni_casi: utils.zacetniCasi(razpolozljivi_bloki, korak) })
+                });
+
+                if (!prvi_prosti || dan < prvi_prosti.dan || (dan === prvi_prosti.dan && ura < prvi_prosti.ura)) {
+                    prvi_prosti = { frizer_ID: f.ID, frizer, dan, ura };
+                }
+            }
+
+            return { frizer_ID: f.ID, frizer, trajanje_num: trajanjeFrizerja, dnevi: dneviFrizerja };
+        });
 
         res.json({
             trajanje_num,
-            razpolozljivi_bloki
+            prvi_prosti,
+            frizerji: rezultat
         });
 
     } catch (err) {
         console.error(err);
-        res.status(500).json({ message: 'Napaka pri preverjanju razpoložljivosti.' });
+        res.status(500).json({ message: 'Napaka pri iskanju prostih terminov.' });
     }
 });
 
@@ -221,6 +495,10 @@ router.post('/razpolozljivost', auth.avtentikacijaJWT, auth.dovoliRole('uporabni
  *     description: |
  *       Omogoča uporabniku, da pred potrditvijo rezervacije še enkrat preveri izbrane podatke.
  *       Sistem vrne povzetek: frizer, izbrane storitve, skupno ceno in trajanje, morebitne opombe, ter datum in čas termina.
+ *       Cene in trajanja storitev so vrednosti pri izbranem frizerju (njegove prilagoditve ali katalog).
+ *       Za termin veljajo pravila rezervacije: začetek mora biti poravnan na korak salona, termin ne sme biti v preteklosti,
+ *       rezerviran mora biti vsaj `MIN_NAPOVED_MIN` minut in največ `MAX_HORIZONT_DNI` dni vnaprej, celoten termin mora biti znotraj delovnika,
+ *       uporabnik pa ima lahko največ `MAX_AKTIVNIH_REZERVACIJ` prihodnjih rezervacij. Kršeno pravilo je navedeno v polju `koda`.
  *     tags:
  *       - Termini
  *     security:
@@ -347,7 +625,7 @@ router.post('/razpolozljivost', auth.avtentikacijaJWT, auth.dovoliRole('uporabni
  *                   type: string
  *                   example: Frizer ne obstaja.
  *       409:
- *         description: Frizer ali termin ni na voljo
+ *         description: Frizer ali termin ni na voljo ali je kršeno pravilo rezervacije
  *         content:
  *           application/json:
  *             schema:
@@ -356,17 +634,33 @@ router.post('/razpolozljivost', auth.avtentikacijaJWT, auth.dovoliRole('uporabni
  *                 message:
  *                   type: string
  *                   example: Izbrani termin ni na voljo.
+ *                 koda:
+ *                   type: string
+ *                   enum: [NI_NA_MREZI, PRETEKLOST, PREKRATKA_NAPOVED, PREKO_HORIZONTA, IZVEN_DELOVNIKA, ODSOTNOST, ZASEDENO, PREVEC_REZERVACIJ]
+ *                   example: ZASEDENO
+ *                   description: Koda kršenega pravila rezervacije
  *       500:
  *         description: Napaka na strežniku
  */
 router.post('/predogled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res) => {
     try {
-        const { frizer_ID, dan, ura, storitve, opombe } = req.body;
+        const { frizer_ID, dan, ura, opombe } = req.body;
 
-        if (!frizer_ID || !dan || !ura || !Array.isArray(storitve) || storitve.length === 0) {
+        if (!frizer_ID || !dan || !ura || !Array.isArray(req.body.storitve) || req.body.storitve.length === 0) {
             return res.status(400).json({ message: 'Manjkajoči podatki za rezervacijo.' });
         }
 
+        // Podvojene storitve (npr. [3, 3]) štejemo enkrat
+        const storitve = utils.seznamStoritev(req.body.storitve);
+
+        if (!storitve) {
+            return res.status(400).json({ message: 'Neveljaven seznam storitev.' });
+        }
+
+        if (!utils.veljavenDatum(dan) || !/^\d{2}:\d{2}$/.test(ura)) {
+            return res.status(400).json({ message: 'Neveljaven datum ali ura.' });
+        }
+
         const cas_termina = `${dan} ${ura}:00`;
 
         // Frizer
@@ -380,68 +674,37 @@ router.post('/predogled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), a
             return res.status(404).json({ message: 'Izbrani frizer ne obstaja.' });
         }
 
-        // Storitve
-        const [storitveRows] = await pool.query(`
-            SELECT ID, Ime, Cena, Trajanje 
-            FROM storitve 
-            WHERE ID IN (?)`,
-            [storitve]);
+        // Storitve s cenami in trajanji pri izbranem frizerju ter skupno trajanje in cena
+        const {
+            storitve: storitveRows,
+            trajanje: skupno_trajanje,
+            cena: skupna_cena
+        } = await urnik.storitveFrizerja(pool, frizer_ID, storitve);
 
         if (storitveRows.length !== storitve.length) {
             return res.status(400).json({ message: 'Navedene storitve niso veljavne.' });
         }
 
-        // Izračunaj skupno trajanje in ceno storitev
-        const [[row]] = await pool.query(`
-            SELECT 
-             SUM(s.Cena) AS skupna_cena,
-             SUM(s.Trajanje) AS skupno_trajanje
-            FROM storitve s
-            WHERE s.ID IN (?)`,
-            [storitve]);
-
-        const skupna_cena = Number(row.skupna_cena);
-        const skupno_trajanje = Number(row.skupno_trajanje);
-
         if (!skupno_trajanje || !skupna_cena) {
             return res.status(400).json({ message: 'Navedene storitve niso veljavne.' });
         }
 
         // Preveri, ali frizer izvaja izbrane storitve
-        const [frizer_storitve] = await pool.query(`
-            SELECT s.ID 
-            FROM storitve s
-            JOIN specializacija sp ON s.Ime = sp.Naziv 
-            WHERE sp.Frizerji_id = ? AND s.ID IN (?)`,
-            [frizer_ID, storitve]);
-
-        if (frizer_storitve.length !== storitve.length) {
+        if (!(await urnik.izvajaStoritve(pool, frizer_ID, storitve))) {
             return res.status(400).json({ message: 'Frizer ne izvaja vseh izbranih storitev.' });
         }
 
-        // Preveri, ali frizer dela v izbranem terminu
-        const [delovnik] = await pool.query(`
-            SELECT * FROM delovnik 
-            WHERE Frizerji_id = ? 
-            AND Dan = ? 
-            AND ? BETWEEN Zacetek AND Konec`,
-            [frizer_ID, dan, ura]);
-
-        if (delovnik.length === 0) {
-            return res.status(409).json({ message: 'Frizer v izbranem terminu ni na voljo.' });
-        }
-
-        // Preveri zasedenost termina
-        const [zasedeni] = await pool.query(`
-            SELECT ID FROM termini WHERE
-            Frizerji_id = ? AND
-            Status = 'Rezervirano' AND
-            (Cas_termina < DATE_ADD(?, INTERVAL ? MINUTE) AND
-            DATE_ADD(Cas_termina, INTERVAL ? MINUTE) > ?)`,
-            [frizer_ID, cas_termina, skupno_trajanje, skupno_trajanje, cas_termina]);
+        // Preveri pravila rezervacije (delovnik, odsotnosti, zasedenost, časovne omejitve ...)
+        const krsitev = await pravila.preveriTermin(pool, {
+            uporabnik_ID: req.user.ID,
+            frizer_ID,
+            dan,
+            ura,
+            trajanje: skupno_trajanje
+        });
 
-        if (zasedeni.length) {
-            return res.status(409).json({ message: 'Izbrani termin ni na voljo.' });
+        if (krsitev) {
+            return res.status(krsitev.status).json({ message: krsitev.message, koda: krsitev.koda });
         }
 
         // Izračun konca termina
@@ -481,6 +744,10 @@ router.post('/predogled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), a
  *       Uporabnik mora izbrati frizerja, datum, uro in vsaj eno storitev.
  *       Sistem preveri razpoložljivost frizerja in zasedenost termina.
  *       Če je vse veljavno, se termin shrani s statusom **Rezervirano**.
+ *       Za termin veljajo pravila rezervacije: začetek mora biti poravnan na korak salona, termin ne sme biti v preteklosti,
+ *       rezerviran mora biti vsaj `MIN_NAPOVED_MIN` minut in največ `MAX_HORIZONT_DNI` dni vnaprej, celoten termin mora biti znotraj delovnika,
+ *       uporabnik pa ima lahko največ `MAX_AKTIVNIH_REZERVACIJ` prihodnjih rezervacij. Kršeno pravilo je navedeno v polju `koda`.
+ *       Sočasne rezervacije pri istem frizerju na isti dan se izvedejo ena za drugo, zato lahko isti termin uspešno rezervira le en uporabnik, ostali dobijo `409`.
  *     tags:
  *       - Termini
  *     security:
@@ -542,6 +809,11 @@ router.post('/predogled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), a
  *                 status:
  *                   type: string
  *                   example: Rezervirano
+ *                 ics_url:
+ *                   type: string
+ *                   format: uri
+ *                   example: http://localhost:3000/koledar/uporabnik/5d41402abc4b2a76b9719d911017c592a1b2c3d4e5f60718/termini/42.ics
+ *                   description: Prenos termina v koledar (.ics); povezava je zaščitena z žetonom koledarja in deluje brez prijave
  *       400:
  *         description: Neveljavni ali manjkajoči podatki
  *         content:
@@ -583,7 +855,7 @@ router.post('/predogled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), a
  *                   type: string
  *                   example: Frizer ne obstaja.
  *       409:
- *         description: Frizer ali termin ni na voljo
+ *         description: Frizer ali termin ni na voljo ali je kršeno pravilo rezervacije
  *         content:
  *           application/json:
  *             schema:
@@ -592,87 +864,84 @@ router.post('/predogled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), a
  *                 message:
  *                   type: string
  *                   example: Izbrani termin ni na voljo.
+ *                 koda:
+ *                   type: string
+ *                   enum: [NI_NA_MREZI, PRETEKLOST, PREKRATKA_NAPOVED, PREKO_HORIZONTA, IZVEN_DELOVNIKA, ODSOTNOST, ZASEDENO, PREVEC_REZERVACIJ]
+ *                   example: ZASEDENO
+ *                   description: Koda kršenega pravila rezervacije
  *       500:
  *         description: Napaka na strežniku
  */
 router.post('/rezervacija', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res) => {
-    const connection = await pool.getConnection();
-    try {
-        const uporabnik_ID = req.user.ID;
-        const { frizer_ID, dan, ura, storitve, opombe } = req.body;
+    const uporabnik_ID = req.user.ID;
+    const { frizer_ID, dan, ura, opombe } = req.body;
 
-        //Nikoli ne zaupaj predogledu - vsi ključni pogoji se morajo preveriti znova
+    //Nikoli ne zaupaj predogledu - vsi ključni pogoji se morajo preveriti znova
 
-        if (!frizer_ID || !dan || !ura || !Array.isArray(storitve) || storitve.length === 0) {
-            return res.status(400).json({ message: 'Manjkajoči podatki za rezervacijo.' });
-        }
+    if (!frizer_ID || !dan || !ura || !Array.isArray(req.body.storitve) || req.body.storitve.length === 0) {
+        return res.status(400).json({ message: 'Manjkajoči podatki za rezervacijo.' });
+    }
 
-        const cas_termina = `${dan} ${ura}:00`;
+    // Podvojene storitve (npr. [3, 3]) štejemo enkrat
+    const storitve = utils.seznamStoritev(req.body.storitve);
+
+    if (!storitve) {
+        return res.status(400).json({ message: 'Neveljaven seznam storitev.' });
+    }
+
+    if (!utils.veljavenDatum(dan) || !/^\d{2}:\d{2}$/.test(ura)) {
+        return res.status(400).json({ message: 'Neveljaven datum ali ura.' });
+    }
+
+    const cas_termina = `${dan} ${ura}:00`;
+
+    const connection = await pool.getConnection();
+    try {
+        // TRANSAKCIJA
+        // Vsa preverjanja se izvedejo znotraj transakcije, po tem ko je urnik frizerja za ta dan zaklenjen.
+        // Sočasna rezervacija k istemu frizerju na isti dan počaka in nato dobi 409.
+        await connection.beginTransaction();
 
         // Preveri, ali frizer obstaja
-        const [[frizer]] = await pool.query(`
+        const [[frizer]] = await connection.query(`
             SELECT ID 
             FROM frizerji 
             WHERE ID = ?`,
             [frizer_ID]);
 
         if (!frizer) {
-            return res.status(404).json({ message: 'Izbrani frizer ne obstaja.' });
-        }
-
-        // Preveri, ali frizer izvaja izbrane storitve
-        const [frizer_storitve] = await connection.query(`
-            SELECT s.ID 
-            FROM storitve s
-            JOIN specializacija sp ON s.Ime = sp.Naziv 
-            WHERE sp.Frizerji_id = ? AND s.ID IN (?)`,
-            [frizer_ID, storitve]);
-
-        if (frizer_storitve.length !== storitve.length) {
-            return res.status(400).json({ message: 'Frizer ne izvaja vseh izbranih storitev.' });
+            throw createError(404, 'Izbrani frizer ne obstaja.');
         }
 
-        // Preveri, ali frizer dela v izbranem terminu
-        const [delovnik] = await connection.query(`
-            SELECT * FROM delovnik WHERE 
-            Frizerji_id = ? AND 
-            Dan = ? AND 
-            ? BETWEEN Zacetek AND Konec`,
-            [frizer_ID, dan, ura]);
+        // Zakleni urnik frizerja za izbrani dan
+        await urnik.zakleniDan(connection, frizer_ID, dan);
 
-        if (delovnik.length === 0) {
-            return res.status(409).json({ message: 'Frizer v izbranem terminu ni na voljo.' });
+        // Preveri, ali frizer izvaja izbrane storitve
+        if (!(await urnik.izvajaStoritve(connection, frizer_ID, storitve))) {
+            throw createError(400, 'Frizer ne izvaja vseh izbranih storitev.');
         }
 
-        // Izračunaj skupno trajanje storitev
-        const [trajanje_sum] = await connection.query(`
-            SELECT SUM(Trajanje) AS trajanje 
-            FROM storitve 
-            WHERE ID IN (?)`,
-            [storitve]);
-
-        const trajanje = trajanje_sum[0].trajanje;
+        // Izračunaj skupno trajanje storitev pri frizerju
+        const { trajanje } = await urnik.storitveFrizerja(connection, frizer_ID, storitve);
 
         if (!trajanje) {
-            return res.status(400).json({ message: 'Navedene storitve niso veljavne.' });
+            throw createError(400, 'Navedene storitve niso veljavne.');
         }
 
-        // Preveri zasedenost termina
-        const [zasedeni] = await connection.query(`
-            SELECT * FROM termini WHERE
-            Frizerji_id = ? AND
-            Status = 'Rezervirano' AND
-            (Cas_termina < DATE_ADD(?, INTERVAL ? MINUTE) AND
-            DATE_ADD(Cas_termina, INTERVAL ? MINUTE) > ?)`,
-            [frizer_ID, cas_termina, trajanje, trajanje, cas_termina]);
+        // Preveri pravila rezervacije (delovnik, odsotnosti, zasedenost, časovne omejitve ...)
+        const krsitev = await pravila.preveriTermin(connection, {
+            uporabnik_ID,
+            frizer_ID,
+            dan,
+            ura,
+            trajanje,
+            zakleni: true
+        });
 
-        if (zasedeni.length > 0) {
-            return res.status(409).json({ message: 'Izbrani termin ni na voljo.' });
+        if (krsitev) {
+            throw krsitev;
         }
 
-        // TRANSAKCIJA
-        await connection.beginTransaction();
-
         // Vstavi nov termin
         const [terminResult] = await connection.query(`
             INSERT INTO termini 
@@ -682,13 +951,25 @@ router.post('/rezervacija', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'),
 
         const termini_ID = terminResult.insertId;
 
-        // Vstavi storitve za termin
-        const storitveValues = storitve.map(ID => [termini_ID, ID]);
-
+        // Vstavi storitve za termin s trenutno ceno in trajanjem pri frizerju
         await connection.query(`
-            INSERT INTO termini_storitve (Termini_id, Storitve_id) 
-            VALUES ?`,
-            [storitveValues]);
+            INSERT INTO termini_storitve (Termini_id, Storitve_id, Cena, Trajanje)
+            SELECT ?, s.ID, COALESCE(p.Cena, s.Cena), COALESCE(p.Trajanje, s.Trajanje)
+            FROM storitve s
+            LEFT JOIN prilagoditve_storitev p ON p.Frizerji_id = ? AND p.Storitve_id = s.ID
+            WHERE s.ID IN (?)`,
+            [termini_ID, frizer_ID, storitve]);
+
+        await obvestila.dodajObvestilo(connection, {
+            uporabnik_ID,
+            termin_ID: termini_ID,
+            vrsta: obvestila.VRSTE.REZERVACIJA
+        });
+
+        await webhooki.sproziZaTermin(connection, webhooki.DOGODKI.TERMIN_USTVARJEN, termini_ID);
+
+        // Povezava za prenos termina mora delovati brez prijave, zato je zaščitena z žetonom koledarja
+        const zetonKoledarja = await koledar.zetonKoledarja('uporabnik', uporabnik_ID, false, connection);
 
         await connection.commit();
 
@@ -696,13 +977,22 @@ router.post('/rezervacija', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'),
             success: true,
             message: 'Termin uspešno rezerviran.', 
             termin_ID: termini_ID,
-            status: 'Rezervirano'
+            status: 'Rezervirano',
+            ics_url: koledar.urlTermina(req, 'uporabnik', zetonKoledarja, termini_ID)
         });
     
     } catch (err) {
         await connection.rollback();
-        console.error(err);
 
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, koda: err.koda });
+        }
+
+        if (urnik.jeNapakaZaklepa(err)) {
+            return res.status(409).json({ message: 'Izbrani termin ni na voljo.' });
+        }
+
+        console.error(err);
         res.status(500).json({ message: 'Napaka pri rezervaciji termina.' });
     } finally {
         connection.release();
@@ -717,7 +1007,8 @@ router.post('/rezervacija', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'),
  *     description: |
  *       Prikazuje seznam vseh terminov, ki jih je uporabnik rezerviral.
  *       Za vsak termin se prikaže frizer, izbrane storitve, datum in čas začetka in konca termina, 
- *       skupno trajanje, skupna cena ter opombe in status termina. Prav tako je podan tudi URL za preklic termina.
+ *       skupno trajanje, skupna cena ter opombe in status termina. Prav tako je podan tudi URL za preklic termina
+ *       in rok, do katerega je termin mogoče brezplačno preklicati. Pri terminih, ki jih je preklical salon, je naveden tudi razlog preklica.
  *     tags:
  *       - Termini
  *     security:
@@ -752,9 +1043,15 @@ router.post('/rezervacija', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'),
  *                         trajanje:
  *                           type: integer
  *                           example: 30
+ *                           description: Trajanje ob rezervaciji
  *                         cena:
  *                           type: number
  *                           example: 15
+ *                           description: Cena ob rezervaciji
+ *                         trajanje_v_katalogu:
+ *                           type: integer
+ *                           example: 30
+ *                           description: Trenutno trajanje storitve v katalogu
  *                   zacetek_termina:
  *                     type: string
  *                     format: date-time
@@ -781,6 +1078,26 @@ router.post('/rezervacija', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'),
  *                     format: uri
  *                     example: http://localhost:3000/termini/preklic/12
  *                     description: URL do preklica termina
+ *                   rok_preklica:
+ *                     type: string
+ *                     format: date-time
+ *                     example: 2025-06-09T14:00:00.000Z
+ *                     description: Zadnji trenutek za brezplačen preklic termina
+ *                   pozen_preklic:
+ *                     type: boolean
+ *                     example: false
+ *                     description: Ali je bil termin preklican po roku preklica
+ *                   razlog_preklica:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Frizer je zbolel.
+ *                     description: Razlog, če je termin preklical salon
+ *                   preklical:
+ *                     type: string
+ *                     nullable: true
+ *                     enum: [uporabnik, frizer, admin]
+ *                     example: frizer
+ *                     description: Kdo je preklical termin
  *       401:
  *         description: Neavtenticiran uporabnik
  *         content:
@@ -807,72 +1124,24 @@ router.post('/rezervacija', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'),
 router.get('/pregled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res) => {
     try {
         const uporabnik_ID = req.user.ID;
-        //DATE_FORMAT(t.Cas_termina, '%Y-%m-%d %H:%i:%s') AS Cas_termina,
-        const [rows] = await pool.query(`
-        SELECT
-         t.ID AS termin_ID,
-         t.Cas_termina,
-         t.Opombe,
-         t.Status,
-         f.ID AS frizer_ID,
-         f.Ime, 
-         f.Priimek,
-         s.ID AS storitev_ID,
-         s.Ime AS storitev,
-         s.Cena,
-         s.Trajanje
-        FROM termini t
-        JOIN frizerji f ON f.ID = t.Frizerji_id
-        JOIN termini_storitve ts ON ts.Termini_id = t.ID
-        JOIN storitve s ON s.ID = ts.Storitve_id
-        WHERE t.Uporabniki_id = ?
-        ORDER BY t.Cas_termina ASC`, 
-        [uporabnik_ID]);
-
-        const terminiMap = {};
-
-        for (const row of rows) {
-            if (!terminiMap[row.termin_ID]) {
-                terminiMap[row.termin_ID] = {
-                    termin_ID: row.termin_ID,
-                    frizer: `${row.Ime} ${row.Priimek}`,
-                    storitve: [],
-                    zacetek_termina: row.Cas_termina,
-                    skupno_trajanje: 0,
-                    skupna_cena: 0,
-                    opombe: row.Opombe,
-                    status: row.Status,
-                };
-            }
-
-            terminiMap[row.termin_ID].storitve.push({
-                id: row.storitev_ID,
-                naziv: row.storitev,
-                trajanje: Number(row.Trajanje),
-                cena: Number(row.Cena),
-            });
-
-            terminiMap[row.termin_ID].skupno_trajanje += Number(row.Trajanje);
-            terminiMap[row.termin_ID].skupna_cena += Number(row.Cena);
-        }
-
-        const termini = Object.values(terminiMap).map(t => {
-            const konec = new Date(t.zacetek_termina);
-            konec.setMinutes(konec.getMinutes() + t.skupno_trajanje);
 
-            return {
+        const termini = (await utils.pridobiTermine('t.Uporabniki_id = ?', [uporabnik_ID]))
+            .map(t => ({
                 termin_ID: t.termin_ID,
                 frizer: t.frizer,
                 storitve: t.storitve,
                 zacetek_termina: t.zacetek_termina,
-                konec_termina: konec,
+                konec_termina: t.konec_termina,
                 skupno_trajanje: t.skupno_trajanje,
                 skupna_cena: t.skupna_cena,
                 opombe: t.opombe,
                 status: t.status,
-                preklic_url: utils.urlVira(req, `/termini/preklic/${t.termin_ID}`)
-            };
-        });
+                preklic_url: utils.urlVira(req, `/termini/preklic/${t.termin_ID}`),
+                rok_preklica: pravila.rokPreklica(t.zacetek_termina, t.storitve).rok_preklica,
+                pozen_preklic: t.pozen_preklic,
+                razlog_preklica: t.razlog_preklica,
+                preklical: t.preklical
+            }));
 
         res.json(termini);
     } catch (err) {
@@ -882,42 +1151,291 @@ router.get('/pregled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), asyn
 
 /**
  * @swagger
- * /termini/preklic/{id}:
- *   patch:
- *     summary: Preklic rezerviranega termina
+ * /termini/agenda:
+ *   get:
+ *     summary: Agenda prijavljenega frizerja
  *     description: |
- *       Prekliče rezerviran termin, če je status termina `'Rezervirano'`, uporabnik je lastnik in je do začetka termina več kot `24` ur.
- *       V primeru uspešnega preklica se vrne sporočilo o uspešnem preklicu.
- *       V primeru napake se vrne ustrezen status in sporočilo.
+ *       Vrne termine prijavljenega frizerja za izbran dan, teden ali poljubno obdobje.
+ *       Podati je treba natanko eno izmed možnosti: `dan`, `teden` ali par `od` in `do`.
+ *       Parameter `teden` je poljuben datum v tednu, vrnjeni so termini od ponedeljka do nedelje tega tedna.
+ *       Za vsak termin se prikaže stranka, izbrane storitve, začetek in konec termina, skupno trajanje, skupna cena ter opombe in status.
  *     tags:
  *       - Termini
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: dan
  *         schema:
- *           type: integer
- *         description: ID termina za preklic
- *         example: 13
+ *           type: string
+ *           format: date
+ *         description: Dan agende (YYYY-MM-DD)
+ *         example: 2025-06-10
+ *       - in: query
+ *         name: teden
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Poljuben datum v želenem tednu (YYYY-MM-DD)
+ *         example: 2025-06-10
+ *       - in: query
+ *         name: od
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Začetek obdobja (YYYY-MM-DD), skupaj z `do`
+ *         example: 2025-06-01
+ *       - in: query
+ *         name: do
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Konec obdobja (YYYY-MM-DD, vključno), skupaj z `od`
+ *         example: 2025-06-30
  *     responses:
  *       200:
- *         description: Termin uspešno preklican
+ *         description: Agenda frizerja za izbrano obdobje
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
+ *                 od:
  *                   type: string
- *                   example: Termin je bil uspešno preklican.
- *       401:
- *         description: Neavtenticiran uporabnik
- *         content:
+ *                   format: date
+ *                   example: 2025-06-09
+ *                 do:
+ *                   type: string
+ *                   format: date
+ *                   example: 2025-06-15
+ *                 termini:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       termin_ID:
+ *                         type: integer
+ *                         example: 12
+ *                       stranka:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 7
+ *                           osebno_ime:
+ *                             type: string
+ *                             example: Miha Novak
+ *                           mail:
+ *                             type: string
+ *                             example: miha.novak@email.com
+ *                           telefon:
+ *                             type: string
+ *                             example: "+38640123456"
+ *                       storitve:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                               example: 1
+ *                             naziv:
+ *                               type: string
+ *                               example: Striženje
+ *                             trajanje:
+ *                               type: integer
+ *                               example: 30
+ *                               description: Trajanje ob rezervaciji
+ *                             cena:
+ *                               type: number
+ *                               example: 15
+ *                               description: Cena ob rezervaciji
+ *                             trajanje_v_katalogu:
+ *                               type: integer
+ *                               example: 30
+ *                               description: Trenutno trajanje storitve v katalogu
+ *                       zacetek_termina:
+ *                         type: string
+ *                         format: date-time
+ *                         example: 2025-06-10T14:00:00.000Z
+ *                       konec_termina:
+ *                         type: string
+ *                         format: date-time
+ *                         example: 2025-06-10T15:15:00.000Z
+ *                       skupno_trajanje:
+ *                         type: integer
+ *                         example: 75
+ *                       skupna_cena:
+ *                         type: number
+ *                         example: 45
+ *                       opombe:
+ *                         type: string
+ *                         nullable: true
+ *                         example: Prosim krajše ob straneh
+ *                       status:
+ *                         type: string
+ *                         example: Rezervirano
+ *                       pozen_preklic:
+ *                         type: boolean
+ *                         example: false
+ *                         description: Ali je stranka termin preklicala po roku preklica
+ *                       neusklajeno_trajanje:
+ *                         type: boolean
+ *                         example: false
+ *                         description: |
+ *                           Prihodnji termin, pri katerem se trajanje storitev ob rezervaciji razlikuje od trenutnega kataloga.
+ *                           Frizer naj termin pregleda in po potrebi prestavi.
+ *       400:
+ *         description: Neveljavno ali manjkajoče obdobje
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Podajte dan, teden ali obdobje od-do.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/agenda', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), async (req, res) => {
+    try {
+        const frizer_ID = req.user.ID;
+        const { dan, teden } = req.query;
+        let { od, do: doDne } = req.query;
+
+        const podaneMoznosti = [dan, teden, od || doDne].filter(Boolean).length;
+
+        if (podaneMoznosti !== 1) {
+            return res.status(400).json({ message: 'Podajte dan, teden ali obdobje od-do.' });
+        }
+
+        if (dan) {
+            od = dan;
+            doDne = dan;
+        } else if (teden) {
+            if (!utils.veljavenDatum(teden)) {
+                return res.status(400).json({ message: 'Neveljaven datum.' });
+            }
+            od = utils.dodajDni(teden, 1 - utils.danVTednu(teden));
+            doDne = utils.dodajDni(od, 6);
+        }
+
+        if (!utils.veljavenDatum(od) || !utils.veljavenDatum(doDne)) {
+            return res.status(400).json({ message: 'Neveljaven datum.' });
+        }
+
+        if (od > doDne) {
+            return res.status(400).json({ message: 'Začetek obdobja mora biti pred koncem.' });
+        }
+
+        const termini = (await utils.pridobiTermine(`
+            t.Frizerji_id = ?
+            AND t.Cas_termina >= ?
+            AND t.Cas_termina < DATE_ADD(?, INTERVAL 1 DAY)`,
+            [frizer_ID, od, doDne]))
+            .map(t => ({
+                termin_ID: t.termin_ID,
+                stranka: t.stranka,
+                storitve: t.storitve,
+                zacetek_termina: t.zacetek_termina,
+                konec_termina: t.konec_termina,
+                skupno_trajanje: t.skupno_trajanje,
+                skupna_cena: t.skupna_cena,
+                opombe: t.opombe,
+                status: t.status,
+                pozen_preklic: t.pozen_preklic,
+                neusklajeno_trajanje: t.neusklajeno_trajanje
+            }));
+
+        res.json({ od, do: doDne, termini });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri pridobivanju agende.' });
+    }
+});
+
+/**
+ * @swagger
+ * /termini/preklic/{id}:
+ *   patch:
+ *     summary: Preklic rezerviranega termina
+ *     description: |
+ *       Prekliče rezerviran termin, če je status termina `'Rezervirano'`, uporabnik je lastnik in se termin še ni začel.
+ *       Rok za brezplačen preklic je nastavljen za salon (`ROK_PREKLICA_UR`, privzeto `24` ur),
+ *       storitev pa ima lahko svoj rok (npr. barvanje `48` ur). Za termin velja največji rok med njegovimi storitvami.
+ *       Po roku je preklic še mogoč, vendar ga mora uporabnik potrditi s `pozni_preklic: true`; tak preklic je zabeležen kot pozni preklic.
+ *       V primeru uspešnega preklica se vrne sporočilo o uspešnem preklicu in rok preklica termina.
+ *       V primeru napake se vrne ustrezen status in sporočilo.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina za preklic
+ *         example: 13
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pozni_preklic:
+ *                 type: boolean
+ *                 example: true
+ *                 description: Potrditev preklica po roku preklica
+ *     responses:
+ *       200:
+ *         description: Termin uspešno preklican
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Termin je bil uspešno preklican.
+ *                 rok_preklica:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-09T14:00:00.000Z
+ *                   description: Zadnji trenutek za brezplačen preklic termina
+ *                 pozni_preklic:
+ *                   type: boolean
+ *                   example: false
+ *                   description: Ali je bil termin preklican po roku preklica
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
  *           application/json:
  *             schema:
  *               type: object
@@ -946,7 +1464,9 @@ router.get('/pregled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), asyn
  *                   type: string
  *                   example: Termin ne obstaja.
  *       409:
- *         description: Termina ni mogoče preklicati, ker status ni `'Rezervirano'` ali je do začetka termina manj kot `24` ur
+ *         description: |
+ *           Termina ni mogoče preklicati, ker status ni `'Rezervirano'` ali se je termin že začel,
+ *           ali pa je rok preklica potekel in pozni preklic ni potrjen (koda `PO_ROKU_PREKLICA`)
  *         content:
  *           application/json:
  *             schema:
@@ -955,58 +1475,1096 @@ router.get('/pregled', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), asyn
  *                 message:
  *                   type: string
  *                   example: Tega termina ni mogoče preklicati.
+ *                 koda:
+ *                   type: string
+ *                   example: PO_ROKU_PREKLICA
+ *                 rok_preklica:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-09T14:00:00.000Z
  *       500:
  *         description: Napaka na strežniku
  */
 router.patch('/preklic/:id', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res) => {
-    try {
+    const termin_ID = req.params.id;
+    const uporabnik_ID = req.user.ID;
 
-        const termin_ID = req.params.id;
-        const uporabnik_ID = req.user.ID;
+    const connection = await pool.getConnection();
+    try {
+        // Preklic, obvestilo o preklicu in dostave webhookov se shranijo v isti transakciji
+        await connection.beginTransaction();
 
-        const [[termin]] = await pool.query(`
+        const [[termin]] = await connection.query(`
             SELECT Status, Cas_termina
             FROM termini
-            WHERE ID = ? AND Uporabniki_id = ?`,
+            WHERE ID = ? AND Uporabniki_id = ?
+            FOR UPDATE`,
             [termin_ID, uporabnik_ID]
         );
 
         if (!termin) {
-            return res.status(404).json({ message: 'Termin ne obstaja.' });
+            throw createError(404, 'Termin ne obstaja.');
         }
 
-        if (termin.Status !== 'Rezervirano') {
-            return res.status(409).json({
-                message: 'Tega termina ni mogoče preklicati.'
-            });
+        if (!statusi.dovoljenPrehod(termin.Status, statusi.STATUSI.PREKLICANO)) {
+            throw createError(409, 'Tega termina ni mogoče preklicati.');
         }
 
         const zdaj = new Date();
-        const terminStart = new Date(termin.Cas_termina);
-        const razlikaUre = (terminStart - zdaj) / (1000 * 60 * 60); // Razlika v urah
 
-        if (razlikaUre < 24) {
-            return res.status(409).json({
-                message: 'Tega termina ni mogoče preklicati, ker je preklic možen najmanj 24 ur pred začetkom termina.'
-            });
+        if (new Date(termin.Cas_termina) <= zdaj) {
+            throw createError(409, 'Termina, ki se je že začel, ni mogoče preklicati.');
         }
 
-        await pool.query(`
-            UPDATE termini
-            SET Status = 'Preklicano'
-            WHERE ID = ?`,
-            [termin_ID]
-        );
+        const { rok_preklica_ur, rok_preklica } = await pravila.rokPreklicaTermina(connection, termin_ID, termin.Cas_termina);
+        const pozni_preklic = zdaj > rok_preklica;
+
+        // Pozni preklic je dovoljen samo, če ga uporabnik izrecno potrdi
+        if (pozni_preklic && req.body?.pozni_preklic !== true) {
+            throw createError(409,
+                `Rok za preklic (${rok_preklica_ur} ur pred začetkom termina) je potekel. Pozni preklic potrdite s poljem pozni_preklic.`,
+                { koda: pravila.KODE.PO_ROKU_PREKLICA, rok_preklica }
+            );
+        }
+
+        const preklican = await statusi.spremeniStatus(connection, termin_ID, termin.Status, statusi.STATUSI.PREKLICANO, {
+            Pozen_preklic: pozni_preklic,
+            Preklical: 'uporabnik',
+            Cas_preklica: zdaj
+        });
+
+        if (!preklican) {
+            throw createError(409, 'Tega termina ni mogoče preklicati.');
+        }
+
+        await obvestila.dodajObvestilo(connection, {
+            uporabnik_ID,
+            termin_ID: Number(termin_ID),
+            vrsta: obvestila.VRSTE.PREKLIC,
+            podatki: { pozni_preklic }
+        });
+
+        await webhooki.sproziZaTermin(connection, webhooki.DOGODKI.TERMIN_PREKLICAN, termin_ID);
+
+        await connection.commit();
 
         res.json({
             success: true,
-            message: 'Termin je bil uspešno preklican.'
+            message: pozni_preklic
+                ? 'Termin je bil preklican po roku preklica. Pozni preklic je zabeležen.'
+                : 'Termin je bil uspešno preklican.',
+            rok_preklica,
+            pozni_preklic
         });
 
     } catch (err) {
+        await connection.rollback();
+
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, koda: err.koda, rok_preklica: err.rok_preklica });
+        }
+
+        if (urnik.jeNapakaZaklepa(err)) {
+            return res.status(409).json({ message: 'Termin se je medtem spremenil, poskusite znova.' });
+        }
+
         console.error(err);
         res.status(500).json({ message: 'Napaka pri preklicu termina.' });
+    } finally {
+        connection.release();
     }
 });
 
+// Razlog preklica s strani salona je obvezen
+function preveriRazlog(razlog) {
+    if (typeof razlog !== 'string' || !razlog.trim()) return null;
+    const r = razlog.trim();
+    return r.length <= 255 ? r : null;
+}
+
+// Meja obdobja je 'YYYY-MM-DD' ali 'YYYY-MM-DD HH:mm'.
+// Pri koncu obdobja sam datum pomeni konec tega dneva.
+function mejaObdobja(vrednost, konec = false) {
+    if (typeof vrednost !== 'string') return null;
+
+    const [dan, ura, ...ostalo] = vrednost.trim().split(/[ T]/);
+    if (ostalo.length > 0 || !utils.veljavenDatum(dan)) return null;
+
+    if (ura === undefined) {
+        return `${konec ? utils.dodajDni(dan, 1) : dan} 00:00:00`;
+    }
+
+    if (!/^\d{2}:\d{2}$/.test(ura) || utils.casVMinute(ura) >= 24 * 60) return null;
+
+    return `${dan} ${ura}:00`;
+}
+
+// Salon prekliče termine: vsak termin dobi razlog in kdo ga je preklical, stranka pa obvestilo.
+// Klicati znotraj transakcije, termini morajo biti zaklenjeni (FOR UPDATE).
+// Vrne ID-je preklicanih terminov.
+async function odpovejTermine(db, termini, razlog, preklical) {
+    const zdaj = new Date();
+    const preklicani = [];
+
+    for (const termin of termini) {
+        const preklican = await statusi.spremeniStatus(db, termin.ID, termin.Status, statusi.STATUSI.PREKLICANO, {
+            Razlog_preklica: razlog,
+            Preklical: preklical,
+            Cas_preklica: zdaj
+        });
+
+        if (!preklican) continue;
+
+        await obvestila.dodajObvestilo(db, {
+            uporabnik_ID: termin.Uporabniki_id,
+            termin_ID: termin.ID,
+            vrsta: obvestila.VRSTE.ODPOVED_TERMINA,
+            podatki: {
+                zacetek_termina: termin.Cas_termina,
+                razlog
+            }
+        });
+
+        await webhooki.sproziZaTermin(db, webhooki.DOGODKI.TERMIN_PREKLICAN, termin.ID);
+
+        preklicani.push(termin.ID);
+    }
+
+    return preklicani;
+}
+
+/**
+ * @swagger
+ * /termini/odpoved/{id}:
+ *   patch:
+ *     summary: Preklic termina s strani salona
+ *     description: |
+ *       Frizer prekliče svoj rezerviran termin (npr. zaradi bolezni), administrator pa katerikoli rezerviran termin.
+ *       Razlog preklica je obvezen in ga stranka vidi v pregledu svojih terminov (`/termini/pregled`).
+ *       Stranki se doda obvestilo o preklicu. Rok preklica za salon ne velja.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina za preklic
+ *         example: 13
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - razlog
+ *             properties:
+ *               razlog:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Frizer je zbolel.
+ *                 description: Razlog preklica, ki ga vidi stranka
+ *     responses:
+ *       200:
+ *         description: Termin uspešno preklican
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Termin je bil preklican, stranka bo obveščena.
+ *                 termin_ID:
+ *                   type: integer
+ *                   example: 13
+ *       400:
+ *         description: Manjka razlog preklica
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Razlog preklica je obvezen (največ 255 znakov).
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Termin ne obstaja ali ni termin prijavljenega frizerja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       409:
+ *         description: Termin ni v statusu `'Rezervirano'`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Tega termina ni mogoče preklicati.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.patch('/odpoved/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer', 'admin'), async (req, res) => {
+    const termin_ID = req.params.id;
+    const razlog = preveriRazlog(req.body.razlog);
+
+    if (!razlog) {
+        return res.status(400).json({ message: 'Razlog preklica je obvezen (največ 255 znakov).' });
+    }
+
+    const jeAdmin = req.user.role === 'admin';
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Frizer lahko prekliče samo svoje termine, administrator vse
+        const [[termin]] = await connection.query(`
+            SELECT ID, Status, Cas_termina, Uporabniki_id
+            FROM termini
+            WHERE ID = ? AND (? OR Frizerji_id = ?)
+            FOR UPDATE`,
+            [termin_ID, jeAdmin, req.user.ID]
+        );
+
+        if (!termin) {
+            throw createError(404, 'Termin ne obstaja.');
+        }
+
+        if (!statusi.dovoljenPrehod(termin.Status, statusi.STATUSI.PREKLICANO)) {
+            throw createError(409, 'Tega termina ni mogoče preklicati.');
+        }
+
+        await odpovejTermine(connection, [termin], razlog, req.user.role);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Termin je bil preklican, stranka bo obveščena.',
+            termin_ID: termin.ID
+        });
+
+    } catch (err) {
+        await connection.rollback();
+
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+
+        if (urnik.jeNapakaZaklepa(err)) {
+            return res.status(409).json({ message: 'Termin se je medtem spremenil, poskusite znova.' });
+        }
+
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri preklicu termina.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * @swagger
+ * /termini/odpoved:
+ *   post:
+ *     summary: Preklic vseh terminov frizerja v obdobju
+ *     description: |
+ *       Prekliče vse rezervirane termine frizerja, ki se začnejo v podanem obdobju (npr. ko frizer zboli).
+ *       Frizer prekliče svoje termine, administrator pa mora podati `frizer_ID`.
+ *       Meji obdobja sta datum (`YYYY-MM-DD`) ali datum in ura (`YYYY-MM-DD HH:mm`); sam datum pri koncu obdobja pomeni konec dneva.
+ *       Razlog preklica je obvezen, vsaka prizadeta stranka dobi obvestilo. Vsi termini se prekličejo v eni transakciji.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - od
+ *               - do
+ *               - razlog
+ *             properties:
+ *               od:
+ *                 type: string
+ *                 example: 2025-06-10
+ *                 description: Začetek obdobja (YYYY-MM-DD ali YYYY-MM-DD HH:mm)
+ *               do:
+ *                 type: string
+ *                 example: 2025-06-12 12:00
+ *                 description: Konec obdobja (YYYY-MM-DD ali YYYY-MM-DD HH:mm)
+ *               razlog:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Frizer je zbolel.
+ *               frizer_ID:
+ *                 type: integer
+ *                 example: 4
+ *                 description: ID frizerja (obvezno za administratorja, frizer lahko prekliče samo svoje termine)
+ *     responses:
+ *       200:
+ *         description: Termini v obdobju uspešno preklicani
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Preklicanih terminov - 3. Stranke bodo obveščene.
+ *                 preklicani_termini:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   example: [13, 14, 17]
+ *       400:
+ *         description: Neveljavno obdobje, manjka razlog ali frizer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neveljavno obdobje.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Frizer ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Izbrani frizer ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/odpoved', auth.avtentikacijaJWT, auth.dovoliRole('frizer', 'admin'), async (req, res) => {
+    const razlog = preveriRazlog(req.body.razlog);
+    const od = mejaObdobja(req.body.od);
+    const doCasa = mejaObdobja(req.body.do, true);
+    const frizer_ID = req.user.role === 'admin' ? req.body.frizer_ID : req.user.ID;
+
+    if (!razlog) {
+        return res.status(400).json({ message: 'Razlog preklica je obvezen (največ 255 znakov).' });
+    }
+
+    if (!od || !doCasa || od >= doCasa) {
+        return res.status(400).json({ message: 'Neveljavno obdobje.' });
+    }
+
+    if (!frizer_ID) {
+        return res.status(400).json({ message: 'Manjka frizer_ID.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [[frizer]] = await connection.query(`
+            SELECT ID
+            FROM frizerji
+            WHERE ID = ?`,
+            [frizer_ID]);
+
+        if (!frizer) {
+            throw createError(404, 'Izbrani frizer ne obstaja.');
+        }
+
+        const [termini] = await connection.query(`
+            SELECT ID, Status, Cas_termina, Uporabniki_id
+            FROM termini
+            WHERE Frizerji_id = ?
+              AND Status = ?
+              AND Cas_termina >= ?
+              AND Cas_termina < ?
+            ORDER BY Cas_termina
+            FOR UPDATE`,
+            [frizer_ID, statusi.STATUSI.REZERVIRANO, od, doCasa]
+        );
+
+        const preklicani_termini = await odpovejTermine(connection, termini, razlog, req.user.role);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Preklicanih terminov - ${preklicani_termini.length}. Stranke bodo obveščene.`,
+            preklicani_termini
+        });
+
+    } catch (err) {
+        await connection.rollback();
+
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+
+        if (urnik.jeNapakaZaklepa(err)) {
+            return res.status(409).json({ message: 'Termini so se medtem spremenili, poskusite znova.' });
+        }
+
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri preklicu terminov.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * @swagger
+ * /termini/prestavitev/{id}:
+ *   patch:
+ *     summary: Prestavitev rezerviranega termina
+ *     description: |
+ *       Prestavi rezerviran termin na nov dan in uro ter po želji k drugemu frizerju.
+ *       Storitve in opombe termina ostanejo enake.
+ *       Za nov termin se ponovno preveri, ali frizer izvaja storitve, ali v izbranem terminu dela in ali je termin prost
+ *       (pri tem se prestavljani termin ne upošteva).
+ *       Prestavitev je možna pod enakimi pogoji kot brezplačen preklic: status `'Rezervirano'`, uporabnik je lastnik
+ *       in rok preklica termina še ni potekel. Poznih prestavitev ni.
+ *       Za nov termin veljajo enaka pravila rezervacije kot pri `/termini/rezervacija`.
+ *       Termin se prestavi v eni transakciji, zato uporabnik starega termina ne more izgubiti.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina za prestavitev
+ *         example: 13
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dan
+ *               - ura
+ *             properties:
+ *               dan:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-24
+ *                 description: Nov datum termina (YYYY-MM-DD)
+ *               ura:
+ *                 type: string
+ *                 example: "10:00"
+ *                 description: Nova začetna ura termina (HH:mm)
+ *               frizer_ID:
+ *                 type: integer
+ *                 example: 4
+ *                 description: ID novega frizerja (neobvezno, privzeto ostane isti frizer)
+ *     responses:
+ *       200:
+ *         description: Termin uspešno prestavljen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Termin je bil uspešno prestavljen.
+ *                 termin_ID:
+ *                   type: integer
+ *                   example: 13
+ *                 frizer_ID:
+ *                   type: integer
+ *                   example: 4
+ *                 zacetek_termina:
+ *                   type: string
+ *                   example: 2025-01-24 10:00:00
+ *       400:
+ *         description: Neveljavni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Manjkajoči podatki za prestavitev.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Termin ali frizer ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       409:
+ *         description: Termina ni mogoče prestaviti ali nov termin ni na voljo ali je kršeno pravilo rezervacije
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Izbrani termin ni na voljo.
+ *                 koda:
+ *                   type: string
+ *                   enum: [NI_NA_MREZI, PRETEKLOST, PREKRATKA_NAPOVED, PREKO_HORIZONTA, IZVEN_DELOVNIKA, ODSOTNOST, ZASEDENO, PREVEC_REZERVACIJ, PO_ROKU_PREKLICA]
+ *                   example: ZASEDENO
+ *                   description: Koda kršenega pravila rezervacije
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.patch('/prestavitev/:id', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res) => {
+    const termin_ID = req.params.id;
+    const uporabnik_ID = req.user.ID;
+    const { dan, ura } = req.body;
+
+    if (!dan || !ura) {
+        return res.status(400).json({ message: 'Manjkajoči podatki za prestavitev.' });
+    }
+
+    if (!utils.veljavenDatum(dan) || !/^\d{2}:\d{2}$/.test(ura)) {
+        return res.status(400).json({ message: 'Neveljaven datum ali ura.' });
+    }
+
+    const cas_termina = `${dan} ${ura}:00`;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Zakleni termin, da ga sočasno ni mogoče preklicati ali prestaviti
+        const [[termin]] = await connection.query(`
+            SELECT Status, Cas_termina, Frizerji_id
+            FROM termini
+            WHERE ID = ? AND Uporabniki_id = ?
+            FOR UPDATE`,
+            [termin_ID, uporabnik_ID]
+        );
+
+        if (!termin) {
+            throw createError(404, 'Termin ne obstaja.');
+        }
+
+        if (termin.Status !== statusi.STATUSI.REZERVIRANO) {
+            throw createError(409, 'Tega termina ni mogoče prestaviti.');
+        }
+
+        const { rok_preklica_ur, rok_preklica } = await pravila.rokPreklicaTermina(connection, termin_ID, termin.Cas_termina);
+
+        if (new Date() > rok_preklica) {
+            throw pravila.krsitev(409, pravila.KODE.PO_ROKU_PREKLICA,
+                `Tega termina ni mogoče prestaviti, ker je prestavitev možna najmanj ${rok_preklica_ur} ur pred začetkom termina.`);
+        }
+
+        const frizer_ID = req.body.frizer_ID || termin.Frizerji_id;
+
+        // Preveri, ali frizer obstaja
+        const [[frizer]] = await connection.query(`
+            SELECT ID
+            FROM frizerji
+            WHERE ID = ?`,
+            [frizer_ID]);
+
+        if (!frizer) {
+            throw createError(404, 'Izbrani frizer ne obstaja.');
+        }
+
+        // Zakleni urnik frizerja za nov dan (glej rezervacijo)
+        await urnik.zakleniDan(connection, frizer_ID, dan);
+
+        // Storitve in skupno trajanje termina (kot ob rezervaciji)
+        const [storitveTermina] = await connection.query(`
+            SELECT ts.Storitve_id AS ID, ts.Trajanje
+            FROM termini_storitve ts
+            WHERE ts.Termini_id = ?`,
+            [termin_ID]);
+
+        const storitve = storitveTermina.map(s => s.ID);
+        const trajanje = storitveTermina.reduce((vsota, s) => vsota + Number(s.Trajanje), 0);
+
+        // Preveri, ali frizer izvaja storitve termina
+        if (!(await urnik.izvajaStoritve(connection, frizer_ID, storitve))) {
+            throw createError(400, 'Frizer ne izvaja vseh storitev termina.');
+        }
+
+        // Preveri pravila rezervacije za nov termin (brez termina, ki ga prestavljamo)
+        const krsitev = await pravila.preveriTermin(connection, {
+            uporabnik_ID,
+            frizer_ID,
+            dan,
+            ura,
+            trajanje,
+            izkljuciTermin: termin_ID,
+            zakleni: true
+        });
+
+        if (krsitev) {
+            throw krsitev;
+        }
+
+        await connection.query(`
+            UPDATE termini
+            SET Frizerji_id = ?, Cas_termina = ?, Verzija = Verzija + 1
+            WHERE ID = ?`,
+            [frizer_ID, cas_termina, termin_ID]
+        );
+
+        // Za nov čas termina se opomnik pošlje znova
+        await connection.query(`
+            DELETE FROM opomniki
+            WHERE Termini_id = ?`,
+            [termin_ID]
+        );
+
+        await webhooki.sproziZaTermin(connection, webhooki.DOGODKI.TERMIN_PRESTAVLJEN, termin_ID);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Termin je bil uspešno prestavljen.',
+            termin_ID: Number(termin_ID),
+            frizer_ID: Number(frizer_ID),
+            zacetek_termina: cas_termina
+        });
+
+    } catch (err) {
+        await connection.rollback();
+
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, koda: err.koda });
+        }
+
+        if (urnik.jeNapakaZaklepa(err)) {
+            return res.status(409).json({ message: 'Izbrani termin ni na voljo.' });
+        }
+
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri prestavitvi termina.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Frizer spremeni status svojega termina po dovoljenih prehodih (glej utils/statusi.js).
+// Če je podan `dogodek`, se ob spremembi sproži webhook v isti transakciji kot sprememba statusa.
+function spremembaStatusa(novStatus, sporocilo, preveriCas, dogodek) {
+    return async (req, res) => {
+        const termin_ID = req.params.id;
+        const frizer_ID = req.user.ID;
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [[termin]] = await connection.query(`
+                SELECT Status, Cas_termina
+                FROM termini
+                WHERE ID = ? AND Frizerji_id = ?
+                FOR UPDATE`,
+                [termin_ID, frizer_ID]
+            );
+
+            if (!termin) {
+                throw createError(404, 'Termin ne obstaja.');
+            }
+
+            if (!statusi.dovoljenPrehod(termin.Status, novStatus)) {
+                throw createError(409, `Prehod iz statusa '${termin.Status}' v '${novStatus}' ni dovoljen.`);
+            }
+
+            const napakaCasa = preveriCas && preveriCas(new Date(termin.Cas_termina), new Date());
+            if (napakaCasa) {
+                throw createError(409, napakaCasa);
+            }
+
+            const spremenjen = await statusi.spremeniStatus(connection, termin_ID, termin.Status, novStatus);
+
+            if (!spremenjen) {
+                throw createError(409, 'Status termina je bil medtem spremenjen.');
+            }
+
+            if (dogodek) {
+                await webhooki.sproziZaTermin(connection, dogodek, termin_ID);
+            }
+
+            await connection.commit();
+
+            res.json({
+                success: true,
+                message: sporocilo,
+                status: novStatus
+            });
+
+        } catch (err) {
+            await connection.rollback();
+
+            if (err.status) {
+                return res.status(err.status).json({ message: err.message });
+            }
+
+            if (urnik.jeNapakaZaklepa(err)) {
+                return res.status(409).json({ message: 'Status termina je bil medtem spremenjen.' });
+            }
+
+            console.error(err);
+            res.status(500).json({ message: 'Napaka pri spreminjanju statusa termina.' });
+        } finally {
+            connection.release();
+        }
+    };
+}
+
+/**
+ * @swagger
+ * /termini/zacetek/{id}:
+ *   patch:
+ *     summary: Začetek termina
+ *     description: |
+ *       Frizer označi svoj termin kot začet (status `'V teku'`).
+ *       Dovoljeno je samo za termine s statusom `'Rezervirano'` in najprej na dan termina.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina
+ *         example: 13
+ *     responses:
+ *       200:
+ *         description: Status termina uspešno spremenjen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Termin je v teku.
+ *                 status:
+ *                   type: string
+ *                   example: V teku
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Termin ne obstaja ali ni termin prijavljenega frizerja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       409:
+ *         description: Prehod statusa ni dovoljen ali termin je šele v prihodnjih dneh
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Prehod iz statusa 'Preklicano' v 'V teku' ni dovoljen.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.patch('/zacetek/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), spremembaStatusa(
+    statusi.STATUSI.V_TEKU,
+    'Termin je v teku.',
+    (zacetek, zdaj) => zacetek.toDateString() !== zdaj.toDateString() && zacetek > zdaj
+        ? 'Termin se lahko začne najprej na dan termina.'
+        : null
+));
+
+/**
+ * @swagger
+ * /termini/zakljucek/{id}:
+ *   patch:
+ *     summary: Zaključek termina
+ *     description: |
+ *       Frizer označi svoj termin kot opravljen (status `'Opravljeno'`).
+ *       Dovoljeno je samo za termine s statusom `'V teku'`.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina
+ *         example: 13
+ *     responses:
+ *       200:
+ *         description: Status termina uspešno spremenjen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Termin je opravljen.
+ *                 status:
+ *                   type: string
+ *                   example: Opravljeno
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Termin ne obstaja ali ni termin prijavljenega frizerja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       409:
+ *         description: Prehod statusa ni dovoljen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Prehod iz statusa 'Preklicano' v 'Opravljeno' ni dovoljen.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.patch('/zakljucek/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), spremembaStatusa(
+    statusi.STATUSI.OPRAVLJENO,
+    'Termin je opravljen.',
+    null,
+    webhooki.DOGODKI.TERMIN_OPRAVLJEN
+));
+
+/**
+ * @swagger
+ * /termini/neprihod/{id}:
+ *   patch:
+ *     summary: Neprihod stranke
+ *     description: |
+ *       Frizer označi, da stranka ni prišla na termin (status `'Neprihod'`).
+ *       Dovoljeno je samo za termine s statusom `'Rezervirano'`, ko je čas začetka termina že mimo.
+ *     tags:
+ *       - Termini
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID termina
+ *         example: 13
+ *     responses:
+ *       200:
+ *         description: Status termina uspešno spremenjen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Termin je označen kot neprihod.
+ *                 status:
+ *                   type: string
+ *                   example: Neprihod
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Termin ne obstaja ali ni termin prijavljenega frizerja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Termin ne obstaja.
+ *       409:
+ *         description: Prehod statusa ni dovoljen ali se termin še ni začel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Prehod iz statusa 'Preklicano' v 'Neprihod' ni dovoljen.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.patch('/neprihod/:id', auth.avtentikacijaJWT, auth.dovoliRole('frizer'), spremembaStatusa(
+    statusi.STATUSI.NEPRIHOD,
+    'Termin je označen kot neprihod.',
+    (zacetek, zdaj) => zacetek > zdaj
+        ? 'Neprihod je mogoče označiti šele po začetku termina.'
+        : null
+));
+
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,11 @@ const pool = require('../utils/db.js');
 const utils = require('../utils/utils.js');
 const auth = require('../utils/auth.js');
 const bcrypt = require('bcrypt');
+const obvestila = require('../utils/obvestila.js');
+const gesla = require('../utils/gesla.js');
+
+// Polja profila, ki jih uporabnik lahko spremeni
+const POLJA_PROFILA = ['Spol', 'Ime', 'Priimek', 'Naslov', 'Starost', 'Mail', 'Telefon', 'Uporabnisko_ime'];
 
 /**
  * @swagger
@@ -102,20 +107,12 @@ router.post('/signup', async (req, res, next) => {
         return res.status(400).json({ message: 'Manjkajoči podatki.' });
     }
 
-    const dovoljeniSpoli = ['Moški', 'Ženski'];
-    if (!dovoljeniSpoli.includes(Spol)) {
-        return res.status(400).json({ message: 'Neveljavna vrednost za spol.' });
+    const napaka = utils.preveriOsebnePodatke({ Spol, Starost, Mail });
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
     }
 
     const StarostNum = Number(Starost);
-    if (!Number.isInteger(StarostNum) || StarostNum < 0 || StarostNum > 100) {
-        return res.status(400).json({ message: 'Starost mora biti veljavna številka.' });
-    }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(Mail)) {
-        return res.status(400).json({ message: 'Neveljaven email naslov.' });
-    }
 
     if (Geslo.length < 8) {
         return res.status(400).json({ message: 'Geslo mora imeti vsaj 8 znakov.' });
@@ -129,17 +126,37 @@ router.post('/signup', async (req, res, next) => {
         // Hashiranje gesla
         const hashedGeslo = await bcrypt.hash(Geslo, 10);
 
-        // Vstavi novega uporabnika v bazo
-        const sql = 'INSERT INTO uporabniki (Spol, Ime, Priimek, Naslov, Starost, Mail, Telefon, Uporabnisko_ime, Geslo) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)';
-        const [result] = await pool.execute(sql, [Spol, Ime, Priimek, Naslov, StarostNum, Mail, Telefon, Uporabnisko_ime, hashedGeslo]);
+        // Uporabnik in obvestilo o registraciji se shranita v isti transakciji
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Vstavi novega uporabnika v bazo
+            const sql = 'INSERT INTO uporabniki (Spol, Ime, Priimek, Naslov, Starost, Mail, Telefon, Uporabnisko_ime, Geslo) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)';
+            const [result] = await connection.execute(sql, [Spol, Ime, Priimek, Naslov, StarostNum, Mail, Telefon, Uporabnisko_ime, hashedGeslo]);
+
+            // Preverimo, če je bila vstavljena natanko ena vrstica
+            if (result.affectedRows !== 1) {
+                throw new Error('Dodajanje uporabnika ni bilo uspešno.');
+            }
+
+            await obvestila.dodajObvestilo(connection, {
+                uporabnik_ID: result.insertId,
+                vrsta: obvestila.VRSTE.REGISTRACIJA,
+                podatki: { uporabnisko_ime: Uporabnisko_ime }
+            });
+
+            await connection.commit();
 
-        // Preverimo, če je bila vstavljena natanko ena vrstica
-        if (result.affectedRows === 1) {
             return res.status(201).json({
                 message: 'Uporabnik uspešno dodan.',
             });
-        } else {
-            return res.status(500).json({ message: 'Dodajanje uporabnika ni bilo uspešno.' });
+
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        } finally {
+            connection.release();
         }
     } catch (err) {
         next(err);
@@ -202,6 +219,16 @@ router.post('/signup', async (req, res, next) => {
  *                 message:
  *                   type: string
  *                   example: Napačno uporabniško ime ali geslo.
+ *       403:
+ *         description: Račun je deaktiviran
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Račun je deaktiviran.
  *       500:
  *         description: Napaka na strežniku
  */
@@ -216,7 +243,7 @@ router.post('/login', async (req, res, next) => {
     try {
         // Poiščemo uporabnika v bazi
         const [rows] = await pool.execute(
-            'SELECT ID, Uporabnisko_ime, Geslo FROM uporabniki WHERE Uporabnisko_ime = ?',
+            'SELECT ID, Uporabnisko_ime, Geslo, Aktiven, Verzija_zetona FROM uporabniki WHERE Uporabnisko_ime = ?',
             [Uporabnisko_ime]
         );
 
@@ -232,12 +259,17 @@ router.post('/login', async (req, res, next) => {
             return res.status(401).json({ message: 'Napačno uporabniško ime ali geslo.' });
         }
 
+        if (!uporabnik.Aktiven) {
+            return res.status(403).json({ message: 'Račun je deaktiviran.' });
+        }
+
         // JWT token
         const token = auth.generirajJWT(
             {
                 ID: uporabnik.ID,
                 Uporabnisko_ime: uporabnik.Uporabnisko_ime,
-                role: 'uporabnik'
+                role: 'uporabnik',
+                verzija: uporabnik.Verzija_zetona
             },
         );
 
@@ -288,4 +320,421 @@ router.get('/jaz', auth.avtentikacijaJWT, (req, res) => {
     });
 });
 
+/**
+ * @swagger
+ * /uporabniki/jaz:
+ *   patch:
+ *     summary: Posodobi profil prijavljenega uporabnika
+ *     description: |
+ *       Posodobi podana polja profila. Za podatke veljajo enaka pravila kot pri registraciji,
+ *       uporabniško ime mora biti unikatno. Ob spremembi uporabniškega imena je vrnjen nov token,
+ *       ki ga je treba uporabljati namesto starega.
+ *     tags:
+ *       - Uporabniki
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Spol:
+ *                 type: string
+ *                 enum: [Moški, Ženski]
+ *               Ime:
+ *                 type: string
+ *               Priimek:
+ *                 type: string
+ *               Naslov:
+ *                 type: string
+ *                 example: Slovenska 1, Ljubljana
+ *               Starost:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               Mail:
+ *                 type: string
+ *                 format: email
+ *               Telefon:
+ *                 type: string
+ *                 example: "+38640123456"
+ *               Uporabnisko_ime:
+ *                 type: string
+ *                 example: miha123
+ *     responses:
+ *       200:
+ *         description: Profil uspešno posodobljen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Profil uspešno posodobljen.
+ *                 profil:
+ *                   type: object
+ *                   properties:
+ *                     Spol:
+ *                       type: string
+ *                     Ime:
+ *                       type: string
+ *                     Priimek:
+ *                       type: string
+ *                     Naslov:
+ *                       type: string
+ *                     Starost:
+ *                       type: integer
+ *                     Mail:
+ *                       type: string
+ *                     Telefon:
+ *                       type: string
+ *                     Uporabnisko_ime:
+ *                       type: string
+ *                 token:
+ *                   type: string
+ *                   description: Nov token (samo ob spremembi uporabniškega imena)
+ *       400:
+ *         description: Neveljavni ali manjkajoči podatki
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neveljaven email naslov.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       409:
+ *         description: Uporabniško ime že obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Uporabniško ime že obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Urejanje profila uporabnika
+router.patch('/jaz', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res, next) => {
+    const { napaka, spremembe } = utils.preveriProfil(req.body, POLJA_PROFILA);
+
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    try {
+        const [[racun]] = await pool.query('SELECT Uporabnisko_ime FROM uporabniki WHERE ID = ?', [req.user.ID]);
+
+        const novoIme = spremembe.Uporabnisko_ime !== undefined && spremembe.Uporabnisko_ime !== racun.Uporabnisko_ime;
+
+        if (novoIme && await utils.uporabnikObstaja(spremembe.Uporabnisko_ime)) {
+            return res.status(409).json({ message: 'Uporabniško ime že obstaja.' });
+        }
+
+        await pool.query('UPDATE uporabniki SET ? WHERE ID = ?', [spremembe, req.user.ID]);
+
+        const [[profil]] = await pool.query(`
+            SELECT Spol, Ime, Priimek, Naslov, Starost, Mail, Telefon, Uporabnisko_ime
+            FROM uporabniki
+            WHERE ID = ?`,
+            [req.user.ID]
+        );
+
+        // Token vsebuje uporabniško ime, zato ob spremembi izdamo novega
+        const token = novoIme
+            ? auth.generirajJWT({ ID: req.user.ID, Uporabnisko_ime: profil.Uporabnisko_ime, role: 'uporabnik', verzija: req.user.verzija })
+            : undefined;
+
+        res.json({
+            message: 'Profil uspešno posodobljen.',
+            profil,
+            ...(token && { token })
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Uporabniško ime že obstaja.' });
+        }
+
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /uporabniki/jaz/geslo:
+ *   patch:
+ *     summary: Sprememba gesla uporabnika
+ *     description: |
+ *       Prijavljeni uporabnik spremeni geslo. Potrebno je trenutno geslo.
+ *       Vsi prej izdani tokeni računa (tudi na drugih napravah) prenehajo veljati, zato odgovor vsebuje nov token.
+ *     tags:
+ *       - Uporabniki
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staro_geslo
+ *               - novo_geslo
+ *             properties:
+ *               staro_geslo:
+ *                 type: string
+ *                 example: skrivnoGeslo123
+ *               novo_geslo:
+ *                 type: string
+ *                 minLength: 8
+ *                 example: novoGeslo456
+ *     responses:
+ *       200:
+ *         description: Geslo uspešno spremenjeno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Geslo uspešno spremenjeno.
+ *                 token:
+ *                   type: string
+ *                   description: Nov token; prejšnji tokeni ne veljajo več
+ *       400:
+ *         description: Manjkajoči podatki, prekratko geslo ali napačno trenutno geslo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Trenutno geslo ni pravilno.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Sprememba gesla uporabnika
+router.patch('/jaz/geslo', auth.avtentikacijaJWT, auth.dovoliRole('uporabnik'), async (req, res, next) => {
+    const { staro_geslo, novo_geslo } = req.body;
+
+    if (!staro_geslo || !novo_geslo) {
+        return res.status(400).json({ message: 'Manjkajoči podatki.' });
+    }
+
+    const napaka = gesla.preveriGeslo(novo_geslo);
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    try {
+        const racun = await gesla.spremeniGeslo('uporabnik', req.user.ID, staro_geslo, novo_geslo);
+
+        if (!racun) {
+            return res.status(400).json({ message: 'Trenutno geslo ni pravilno.' });
+        }
+
+        const token = auth.generirajJWT(
+            {
+                ID: req.user.ID,
+                Uporabnisko_ime: racun.Uporabnisko_ime,
+                role: 'uporabnik',
+                verzija: racun.verzija
+            },
+            'uporabnik'
+        );
+
+        res.json({ message: 'Geslo uspešno spremenjeno.', token });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /uporabniki/pozabljeno-geslo:
+ *   post:
+ *     summary: Zahteva za ponastavitev pozabljenega gesla uporabnika
+ *     description: |
+ *       Če obstaja aktiven račun s podanim uporabniškim imenom ali e-poštnim naslovom, mu pošlje enkratni žeton
+ *       za ponastavitev gesla, ki velja omejen čas (PONASTAVITEV_GESLA_MIN). Prejšnji neporabljeni žetoni ne veljajo več.
+ *       Odgovor je vedno enak, zato iz njega ni mogoče ugotoviti, ali račun obstaja.
+ *     tags:
+ *       - Uporabniki
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Uporabnisko_ime:
+ *                 type: string
+ *                 example: miha123
+ *               Mail:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Zahteva sprejeta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Če račun obstaja, smo vam poslali navodila za ponastavitev gesla.
+ *       400:
+ *         description: Manjka uporabniško ime ali e-poštni naslov ali nista besedilo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Podajte uporabniško ime ali e-poštni naslov.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Zahteva za ponastavitev gesla uporabnika
+router.post('/pozabljeno-geslo', (req, res) => {
+    const { Uporabnisko_ime, Mail } = req.body;
+
+    if (!Uporabnisko_ime && !Mail) {
+        return res.status(400).json({ message: 'Podajte uporabniško ime ali e-poštni naslov.' });
+    }
+
+    if ([Uporabnisko_ime, Mail].some(v => v && typeof v !== 'string')) {
+        return res.status(400).json({ message: 'Uporabniško ime in e-poštni naslov morata biti besedilo.' });
+    }
+
+    // Odgovorimo takoj in žeton pošljemo v ozadju, da čas odgovora ne razkrije, ali račun obstaja
+    res.json({ message: 'Če račun obstaja, smo vam poslali navodila za ponastavitev gesla.' });
+
+    gesla.zahtevajPonastavitev(req.app, 'uporabnik', { Uporabnisko_ime, Mail })
+        .catch(err => console.error('Zahteva za ponastavitev gesla ni uspela:', err.message));
+});
+
+/**
+ * @swagger
+ * /uporabniki/ponastavi-geslo:
+ *   post:
+ *     summary: Ponastavitev gesla uporabnika z žetonom
+ *     description: |
+ *       Nastavi novo geslo z žetonom iz /uporabniki/pozabljeno-geslo. Žeton je mogoče uporabiti samo enkrat.
+ *       Vsi prej izdani tokeni računa prenehajo veljati; za nadaljevanje se je treba ponovno prijaviti.
+ *     tags:
+ *       - Uporabniki
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - zeton
+ *               - novo_geslo
+ *             properties:
+ *               zeton:
+ *                 type: string
+ *               novo_geslo:
+ *                 type: string
+ *                 minLength: 8
+ *                 example: novoGeslo456
+ *     responses:
+ *       200:
+ *         description: Geslo uspešno ponastavljeno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Geslo uspešno ponastavljeno. Prijavite se z novim geslom.
+ *       400:
+ *         description: Manjkajoči podatki, prekratko geslo ali neveljaven žeton
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Žeton ni veljaven, je že uporabljen ali je potekel.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+// Ponastavitev gesla uporabnika z žetonom
+router.post('/ponastavi-geslo', async (req, res, next) => {
+    const { zeton, novo_geslo } = req.body;
+
+    if (!zeton || !novo_geslo) {
+        return res.status(400).json({ message: 'Manjkajoči podatki.' });
+    }
+
+    const napaka = gesla.preveriGeslo(novo_geslo);
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    try {
+        if (!(await gesla.ponastaviGeslo('uporabnik', zeton, novo_geslo))) {
+            return res.status(400).json({ message: 'Žeton ni veljaven, je že uporabljen ali je potekel.' });
+        }
+
+        res.json({ message: 'Geslo uspešno ponastavljeno. Prijavite se z novim geslom.' });
+    } catch (err) {
+        next(err);
+    }
+});
+
 module.exports = router;
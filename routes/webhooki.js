@@ -0,0 +1,605 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js');
+const auth = require('../utils/auth.js');
+const webhooki = require('../utils/webhooki.js');
+
+// Preveri podatke webhooka. Vrne { napaka } ali { url, dogodki }.
+function preveriWebhook({ url, dogodki }) {
+    let naslov;
+    try {
+        naslov = new URL(url);
+    } catch {
+        return { napaka: 'Neveljaven URL.' };
+    }
+
+    if (!['http:', 'https:'].includes(naslov.protocol)) {
+        return { napaka: 'URL mora uporabljati http ali https.' };
+    }
+
+    const dovoljeni = Object.values(webhooki.DOGODKI);
+    if (!Array.isArray(dogodki) || dogodki.length === 0 || !dogodki.every(d => dovoljeni.includes(d))) {
+        return { napaka: `Dogodki morajo biti neprazen seznam izmed: ${dovoljeni.join(', ')}.` };
+    }
+
+    return { url: naslov.toString(), dogodki: [...new Set(dogodki)] };
+}
+
+/**
+ * @swagger
+ * /webhooki:
+ *   get:
+ *     summary: Seznam webhookov
+ *     description: |
+ *       Vrne vse registrirane webhooke s številom dostav po stanjih. Skrivnost se ne vrne.
+ *       Dostopno samo administratorju.
+ *     tags:
+ *       - Webhooki
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Seznam webhookov
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   webhook_ID:
+ *                     type: integer
+ *                     example: 1
+ *                   url:
+ *                     type: string
+ *                     example: https://racunovodstvo.example.com/salon/webhook
+ *                   dogodki:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: [termin.ustvarjen, termin.opravljen]
+ *                   aktiven:
+ *                     type: boolean
+ *                     example: true
+ *                   cakajoce:
+ *                     type: integer
+ *                     example: 0
+ *                   neuspesne:
+ *                     type: integer
+ *                     example: 2
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    try {
+        const [rows] = await pool.query(`
+            SELECT
+             w.ID,
+             w.Url,
+             w.Dogodki,
+             w.Aktiven,
+             SUM(d.Stanje = 'Čaka') AS cakajoce,
+             SUM(d.Stanje = 'Napaka') AS neuspesne
+            FROM webhooki w
+            LEFT JOIN webhook_dostave d ON d.Webhooki_id = w.ID
+            GROUP BY w.ID
+            ORDER BY w.ID`
+        );
+
+        res.json(rows.map(w => ({
+            webhook_ID: w.ID,
+            url: w.Url,
+            dogodki: typeof w.Dogodki === 'string' ? JSON.parse(w.Dogodki) : w.Dogodki,
+            aktiven: Boolean(w.Aktiven),
+            cakajoce: Number(w.cakajoce ?? 0),
+            neuspesne: Number(w.neuspesne ?? 0)
+        })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri pridobivanju webhookov.' });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooki:
+ *   post:
+ *     summary: Registracija webhooka
+ *     description: |
+ *       Registrira URL, na katerega se pošiljajo dogodki terminov. Dostave so podpisane s HMAC-SHA256:
+ *       glava `X-Salon-Podpis` vsebuje `sha256=<hex>` podpis niza `<X-Salon-Cas>.<telo>` s skrivnostjo webhooka.
+ *       Če skrivnost ni podana, se ustvari naključna. Skrivnost se vrne samo ob registraciji.
+ *       Dostopno samo administratorju.
+ *     tags:
+ *       - Webhooki
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - dogodki
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: https://racunovodstvo.example.com/salon/webhook
+ *               dogodki:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [termin.ustvarjen, termin.prestavljen, termin.preklican, termin.opravljen]
+ *                 example: [termin.ustvarjen, termin.preklican]
+ *               skrivnost:
+ *                 type: string
+ *                 minLength: 16
+ *                 example: moja-dolga-skrivnost-za-podpis
+ *                 description: Skrivnost za podpis (neobvezno, najmanj 16 znakov)
+ *     responses:
+ *       201:
+ *         description: Webhook registriran
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Webhook uspešno registriran.
+ *                 webhook_ID:
+ *                   type: integer
+ *                   example: 1
+ *                 skrivnost:
+ *                   type: string
+ *                   example: 4f1c...e9
+ *       400:
+ *         description: Neveljaven URL, dogodki ali skrivnost
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neveljaven URL.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    const { napaka, url, dogodki } = preveriWebhook(req.body);
+
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+
+    const { skrivnost: podanaSkrivnost } = req.body;
+    if (podanaSkrivnost !== undefined && (typeof podanaSkrivnost !== 'string' || podanaSkrivnost.length < 16 || podanaSkrivnost.length > 128)) {
+        return res.status(400).json({ message: 'Skrivnost mora imeti od 16 do 128 znakov.' });
+    }
+
+    const skrivnost = podanaSkrivnost ?? webhooki.ustvariSkrivnost();
+
+    try {
+        const [result] = await pool.query(`
+            INSERT INTO webhooki (Url, Skrivnost, Dogodki)
+            VALUES (?, ?, ?)`,
+            [url, skrivnost, JSON.stringify(dogodki)]
+        );
+
+        res.status(201).json({
+            message: 'Webhook uspešno registriran.',
+            webhook_ID: result.insertId,
+            skrivnost
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri registraciji webhooka.' });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooki/{id}:
+ *   delete:
+ *     summary: Odstranitev webhooka
+ *     description: |
+ *       Odstrani webhook skupaj z dnevnikom dostav. Dostopno samo administratorju.
+ *     tags:
+ *       - Webhooki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID webhooka
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Webhook odstranjen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Webhook uspešno odstranjen.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Webhook ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Webhook ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.delete('/:id', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.query(`
+            DELETE FROM webhooki
+            WHERE ID = ?`,
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Webhook ne obstaja.' });
+        }
+
+        res.json({ message: 'Webhook uspešno odstranjen.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri odstranjevanju webhooka.' });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooki/{id}/dostave:
+ *   get:
+ *     summary: Dnevnik dostav webhooka
+ *     description: |
+ *       Vrne zadnjih 100 dostav webhooka, po želji filtriranih po stanju. Dostopno samo administratorju.
+ *     tags:
+ *       - Webhooki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID webhooka
+ *         example: 1
+ *       - in: query
+ *         name: stanje
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [Čaka, Dostavljeno, Napaka]
+ *         description: Stanje dostave
+ *     responses:
+ *       200:
+ *         description: Dnevnik dostav
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   dostava_ID:
+ *                     type: integer
+ *                     example: 42
+ *                   dogodek:
+ *                     type: string
+ *                     example: termin.ustvarjen
+ *                   stanje:
+ *                     type: string
+ *                     example: Napaka
+ *                   poskusi:
+ *                     type: integer
+ *                     example: 8
+ *                   zadnji_status:
+ *                     type: integer
+ *                     nullable: true
+ *                     example: 502
+ *                   napaka:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Prejemnik je vrnil status 502.
+ *                   ustvarjeno:
+ *                     type: string
+ *                     format: date-time
+ *                   dostavljeno:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   naslednji_poskus:
+ *                     type: string
+ *                     format: date-time
+ *       400:
+ *         description: Neveljavno stanje
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neveljavno stanje dostave.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.get('/:id/dostave', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    const { stanje } = req.query;
+
+    if (stanje !== undefined && !['Čaka', 'Dostavljeno', 'Napaka'].includes(stanje)) {
+        return res.status(400).json({ message: 'Neveljavno stanje dostave.' });
+    }
+
+    try {
+        const [rows] = await pool.query(`
+            SELECT ID, Dogodek, Stanje, Poskusi, Zadnji_status, Napaka, Ustvarjeno, Dostavljeno, Naslednji_poskus
+            FROM webhook_dostave
+            WHERE Webhooki_id = ? AND (? IS NULL OR Stanje = ?)
+            ORDER BY ID DESC
+            LIMIT 100`,
+            [req.params.id, stanje ?? null, stanje ?? null]
+        );
+
+        res.json(rows.map(d => ({
+            dostava_ID: d.ID,
+            dogodek: d.Dogodek,
+            stanje: d.Stanje,
+            poskusi: d.Poskusi,
+            zadnji_status: d.Zadnji_status,
+            napaka: d.Napaka,
+            ustvarjeno: d.Ustvarjeno,
+            dostavljeno: d.Dostavljeno,
+            naslednji_poskus: d.Naslednji_poskus
+        })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri pridobivanju dostav.' });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooki/{id}/ponovi:
+ *   post:
+ *     summary: Ponovitev neuspešnih dostav webhooka
+ *     description: |
+ *       Vse dostave webhooka v stanju `'Napaka'` vrne v vrsto za takojšnje pošiljanje (s ponovno štetimi poskusi).
+ *       Dostopno samo administratorju.
+ *     tags:
+ *       - Webhooki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID webhooka
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Dostave vrnjene v vrsto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostave vrnjene v vrsto.
+ *                 ponovljene:
+ *                   type: integer
+ *                   example: 3
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/:id/ponovi', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    try {
+        const ponovljene = await webhooki.ponoviDostave('d.Webhooki_id = ?', [req.params.id]);
+
+        res.json({ message: 'Dostave vrnjene v vrsto.', ponovljene });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri ponovitvi dostav.' });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooki/dostave/{id}/ponovi:
+ *   post:
+ *     summary: Ponovitev neuspešne dostave
+ *     description: |
+ *       Neuspešno dostavo (stanje `'Napaka'`) vrne v vrsto za takojšnje pošiljanje. Dostopno samo administratorju.
+ *     tags:
+ *       - Webhooki
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID dostave
+ *         example: 42
+ *     responses:
+ *       200:
+ *         description: Dostava vrnjena v vrsto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostava vrnjena v vrsto.
+ *       401:
+ *         description: Neavtenticiran uporabnik
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ni tokena ali je neveljaven ali potekel.
+ *       403:
+ *         description: Uporabnik nima ustreznih pravic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Dostop zavrnjen. Ni dovoljeno za vašo vlogo.
+ *       404:
+ *         description: Neuspešna dostava s tem ID ne obstaja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Neuspešna dostava ne obstaja.
+ *       500:
+ *         description: Napaka na strežniku
+ */
+router.post('/dostave/:id/ponovi', auth.avtentikacijaJWT, auth.dovoliRole('admin'), async (req, res) => {
+    try {
+        const ponovljene = await webhooki.ponoviDostave('d.ID = ?', [req.params.id]);
+
+        if (ponovljene === 0) {
+            return res.status(404).json({ message: 'Neuspešna dostava ne obstaja.' });
+        }
+
+        res.json({ message: 'Dostava vrnjena v vrsto.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Napaka pri ponovitvi dostave.' });
+    }
+});
+
+module.exports = router;
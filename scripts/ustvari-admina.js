@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Ustvari administratorja salona.
+ *
+ * Uporaba:
+ *   GESLO=<geslo> node scripts/ustvari-admina.js --uporabnisko_ime=admin --ime=Ana --priimek=Novak --mail=ana@salon.si
+ *
+ * Geslo podamo v spremenljivki okolja GESLO, da ne ostane v zgodovini ukazov z ostalimi argumenti.
+ * Geslo mora imeti vsaj 8 znakov. Povezava z bazo se prebere iz .env (DB_*).
+ */
+
+require('dotenv').config();
+
+const bcrypt = require('bcrypt');
+const pool = require('../utils/db.js');
+
+const argumenti = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [kljuc, ...vrednost] = arg.slice(2).split('=');
+            return [kljuc, vrednost.join('=')];
+        })
+);
+
+const geslo = process.env.GESLO || '';
+
+if (!argumenti.uporabnisko_ime || !argumenti.ime || !argumenti.priimek || !argumenti.mail || !geslo) {
+    console.error('Manjkajoči podatki. Glej navodila na začetku datoteke.');
+    process.exit(2);
+}
+
+if (geslo.length < 8) {
+    console.error('Geslo mora imeti vsaj 8 znakov.');
+    process.exit(2);
+}
+
+async function main() {
+    try {
+        const hashedGeslo = await bcrypt.hash(geslo, 10);
+
+        const [result] = await pool.query(`
+            INSERT INTO administratorji (Ime, Priimek, Mail, Uporabnisko_ime, Geslo)
+            VALUES (?, ?, ?, ?, ?)`,
+            [argumenti.ime, argumenti.priimek, argumenti.mail, argumenti.uporabnisko_ime, hashedGeslo]
+        );
+
+        console.log(`Administrator ${argumenti.uporabnisko_ime} ustvarjen (ID ${result.insertId}).`);
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            console.error('Uporabniško ime že obstaja.');
+        } else {
+            console.error(err.message);
+        }
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
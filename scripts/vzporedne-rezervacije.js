@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Preizkus sočasnih rezervacij.
+ *
+ * Na zagnan strežnik (z lokalno MySQL bazo) hkrati pošlje več enakih zahtev
+ * POST /termini/rezervacija za isti termin in preveri, da je uspešna največ ena.
+ * Ostale zahteve morajo vrniti 409.
+ *
+ * Uporaba:
+ *   TOKENI=<jwt1>,<jwt2> node scripts/vzporedne-rezervacije.js --frizer=3 --dan=2025-06-10 --ura=10:00 --storitve=1,2 --n=20
+ *
+ * TOKENI so JWT tokeni uporabnikov (POST /uporabniki/login), zahteve si jih razdelijo po vrsti.
+ * BASE_URL (privzeto http://localhost:3000) določa naslov strežnika.
+ * Izbrani termin mora biti pred zagonom prost, sicer bodo vse zahteve vrnile 409.
+ */
+
+require('dotenv').config();
+
+const argumenti = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [kljuc, ...vrednost] = arg.slice(2).split('=');
+            return [kljuc, vrednost.join('=')];
+        })
+);
+
+const baseUrl = (process.env.BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const tokeni = (process.env.TOKENI || '').split(',').filter(Boolean);
+const steviloZahtev = Number(argumenti.n || 10);
+
+if (!argumenti.frizer || !argumenti.dan || !argumenti.ura || !argumenti.storitve || tokeni.length === 0) {
+    console.error('Manjkajoči podatki. Glej navodila na začetku datoteke.');
+    process.exit(2);
+}
+
+const telo = {
+    frizer_ID: Number(argumenti.frizer),
+    dan: argumenti.dan,
+    ura: argumenti.ura,
+    storitve: argumenti.storitve.split(',').map(Number),
+    opombe: 'Preizkus sočasnih rezervacij'
+};
+
+async function rezerviraj(i) {
+    const odgovor = await fetch(`${baseUrl}/termini/rezervacija`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${tokeni[i % tokeni.length]}`
+        },
+        body: JSON.stringify(telo)
+    });
+
+    return { status: odgovor.status, telo: await odgovor.json().catch(() => null) };
+}
+
+async function main() {
+    const rezultati = await Promise.all(
+        Array.from({ length: steviloZahtev }, (_, i) => rezerviraj(i))
+    );
+
+    const poStatusih = {};
+    for (const { status } of rezultati) {
+        poStatusih[status] = (poStatusih[status] || 0) + 1;
+    }
+
+    console.log(`Poslanih zahtev: ${steviloZahtev}`);
+    console.log('Odgovori po statusih:', poStatusih);
+
+    const uspesne = rezultati.filter(r => r.status === 201);
+    for (const { telo } of uspesne) {
+        console.log('Rezerviran termin:', telo && telo.termin_ID);
+    }
+
+    const nepricakovani = rezultati.filter(r => r.status !== 201 && r.status !== 409);
+
+    if (uspesne.length > 1) {
+        console.error(`NAPAKA: termin je bil rezerviran ${uspesne.length}-krat.`);
+        process.exit(1);
+    }
+
+    if (nepricakovani.length > 0) {
+        console.error('NAPAKA: nepričakovani odgovori:', nepricakovani);
+        process.exit(1);
+    }
+
+    console.log('OK: termin je bil rezerviran največ enkrat.');
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
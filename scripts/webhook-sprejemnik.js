@@ -0,0 +1,65 @@
+// Lokalni prejemnik webhookov za preizkus.
+// Sprejema POST zahteve, preveri podpis in izpiše dogodke.
+//
+// Uporaba:
+//   SKRIVNOST=<skrivnost webhooka> node scripts/webhook-sprejemnik.js [--port 4000] [--napaka 3]
+//
+// Z --napaka N prvih N zahtev vrne status 500, da lahko preizkusimo ponovne poskuse.
+// Webhook registriramo z URL-jem http://localhost:<port>/.
+const http = require('http');
+const crypto = require('crypto');
+
+function argument(ime, privzeto) {
+    const i = process.argv.indexOf(`--${ime}`);
+    return i === -1 ? privzeto : process.argv[i + 1];
+}
+
+const port = Number(argument('port', 4000));
+let napake = Number(argument('napaka', 0));
+const skrivnost = process.env.SKRIVNOST;
+
+if (!skrivnost) {
+    console.error('Nastavite SKRIVNOST (skrivnost webhooka).');
+    process.exit(1);
+}
+
+function preveriPodpis(cas, telo, podpis) {
+    const pricakovan = 'sha256=' + crypto.createHmac('sha256', skrivnost).update(`${cas}.${telo}`).digest('hex');
+    return typeof podpis === 'string'
+        && podpis.length === pricakovan.length
+        && crypto.timingSafeEqual(Buffer.from(podpis), Buffer.from(pricakovan));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+
+    let telo = '';
+    req.on('data', del => { telo += del; });
+    req.on('end', () => {
+        const cas = req.headers['x-salon-cas'];
+        const veljaven = preveriPodpis(cas, telo, req.headers['x-salon-podpis']);
+
+        console.log(`${new Date().toISOString()} dostava ${req.headers['x-salon-dostava']} ${req.headers['x-salon-dogodek']} podpis ${veljaven ? 'veljaven' : 'NEVELJAVEN'}`);
+        console.log(telo);
+
+        if (!veljaven) {
+            res.writeHead(401).end();
+            return;
+        }
+
+        if (napake > 0) {
+            napake--;
+            res.writeHead(500).end();
+            return;
+        }
+
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Prejemnik webhookov posluša na http://localhost:${port}/`);
+});
@@ -1,9 +1,19 @@
 const jwt = require('jsonwebtoken');
+const pool = require('./db.js');
+
+// Tabela računov za vsako vlogo
+const TABELE_VLOG = {
+    uporabnik: 'uporabniki',
+    frizer: 'frizerji',
+    admin: 'administratorji'
+};
 
 function generirajJWT(payload, role = 'uporabnik') {
     let expiresIn = process.env.JWT_EXPIRES_IN_UPOR || '7d';
     if (role === 'frizer') {
         expiresIn = process.env.JWT_EXPIRES_IN_FRI || '3d';
+    } else if (role === 'admin') {
+        expiresIn = process.env.JWT_EXPIRES_IN_ADMIN || '8h';
     }
     return jwt.sign(
         payload,
@@ -12,6 +22,15 @@ function generirajJWT(payload, role = 'uporabnik') {
     );
 }
 
+// Stanje računa z vlogo `role` ({ Aktiven, Verzija_zetona }) ali undefined, če račun ne obstaja
+async function stanjeRacuna(role, ID) {
+    const tabela = TABELE_VLOG[role];
+    if (!tabela) return undefined;
+
+    const [[racun]] = await pool.query(`SELECT Aktiven, Verzija_zetona FROM ${tabela} WHERE ID = ?`, [ID]);
+    return racun;
+}
+
 function avtentikacijaJWT(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -20,11 +39,27 @@ function avtentikacijaJWT(req, res, next) {
         return res.status(401).json({ message: 'Manjka avtentikacijski token.' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
         if (err || !user || !user.ID) {
             return res.status(401).json({ message: 'Token ni veljaven ali je potekel.' });
         }
 
+        // Token deaktiviranega računa ne velja več, čeprav še ni potekel.
+        // Prav tako ne velja token, izdan pred spremembo ali ponastavitvijo gesla (verzija v tokenu je zastarela).
+        try {
+            const racun = await stanjeRacuna(user.role, user.ID);
+
+            if (!racun?.Aktiven) {
+                return res.status(401).json({ message: 'Račun je deaktiviran.' });
+            }
+
+            if ((user.verzija ?? 0) !== racun.Verzija_zetona) {
+                return res.status(401).json({ message: 'Token ni več veljaven. Prijavite se ponovno.' });
+            }
+        } catch (err) {
+            return next(err);
+        }
+
         req.user = user;
         next();
     });
@@ -49,4 +84,4 @@ module.exports = {
     generirajJWT,
     avtentikacijaJWT,
     dovoliRole
-};
\ No newline at end of file
+};
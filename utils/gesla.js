@@ -0,0 +1,177 @@
+const bcrypt = require('bcrypt');
+const pool = require('./db.js');
+const zetoni = require('./zetoni.js');
+const obvestila = require('./obvestila.js');
+const posiljanje = require('./posiljanje.js');
+
+// Sprememba in ponastavitev gesla uporabnikov in frizerjev.
+// Ob vsakem novem geslu se poveča Verzija_zetona računa, zato vsi prej izdani JWT prenehajo veljati
+// (glej auth.avtentikacijaJWT), neporabljeni žetoni za ponastavitev pa se razveljavijo.
+//
+// Nastavitve:
+// - PONASTAVITEV_GESLA_MIN: koliko minut velja žeton za ponastavitev gesla
+const VELJAVNOST_MIN = Number(process.env.PONASTAVITEV_GESLA_MIN ?? 30);
+
+const MIN_DOLZINA = 8;
+
+// Tabela računov za vlogo
+const TABELE_VLOG = {
+    uporabnik: 'uporabniki',
+    frizer: 'frizerji'
+};
+
+// Vrne sporočilo o napaki ali null, če je geslo ustrezno
+function preveriGeslo(geslo) {
+    if (typeof geslo !== 'string' || geslo.length < MIN_DOLZINA) {
+        return `Geslo mora imeti vsaj ${MIN_DOLZINA} znakov.`;
+    }
+
+    return null;
+}
+
+// Nastavi novo geslo računa, razveljavi obstoječe tokene in neporabljene žetone za ponastavitev.
+// Vrne novo verzijo tokena, ki jo vsebuje token, izdan po spremembi.
+// Kliče se znotraj transakcije (`db` je povezava), da se spremembe shranijo skupaj.
+async function nastaviGeslo(db, vloga, ID, geslo) {
+    const tabela = TABELE_VLOG[vloga];
+    const hashedGeslo = await bcrypt.hash(geslo, 10);
+
+    await db.query(
+        `UPDATE ${tabela} SET Geslo = ?, Verzija_zetona = Verzija_zetona + 1 WHERE ID = ?`,
+        [hashedGeslo, ID]
+    );
+
+    await db.query(`
+        UPDATE ponastavitve_gesla
+        SET Porabljeno = NOW()
+        WHERE Vloga = ? AND Racun_id = ? AND Porabljeno IS NULL`,
+        [vloga, ID]
+    );
+
+    const [[{ Verzija_zetona }]] = await db.query(`SELECT Verzija_zetona FROM ${tabela} WHERE ID = ?`, [ID]);
+    return Verzija_zetona;
+}
+
+// Prijavljeni račun spremeni geslo. Trenutno geslo se preveri na zaklenjeni vrstici računa,
+// zato sočasni spremembi gesla potekata ena za drugo in vsaka vrne svojo verzijo tokena.
+// Vrne null, če trenutno geslo ni pravilno, sicer { Uporabnisko_ime, verzija }.
+async function spremeniGeslo(vloga, ID, staroGeslo, novoGeslo) {
+    const tabela = TABELE_VLOG[vloga];
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [[racun]] = await connection.query(
+            `SELECT Uporabnisko_ime, Geslo FROM ${tabela} WHERE ID = ? FOR UPDATE`,
+            [ID]
+        );
+
+        if (!racun || !(await bcrypt.compare(staroGeslo, racun.Geslo))) {
+            await connection.rollback();
+            return null;
+        }
+
+        const verzija = await nastaviGeslo(connection, vloga, ID, novoGeslo);
+
+        await connection.commit();
+        return { Uporabnisko_ime: racun.Uporabnisko_ime, verzija };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+// Ustvari žeton za ponastavitev gesla za aktivne račune z uporabniškim imenom ali e-poštnim naslovom
+// in ga takoj pošlje lastniku računa. Žeton ni shranjen v vrsti obvestil, ker bi bil tam v berljivi obliki.
+// Endpoint jo pokliče po odgovoru, zato klicatelj ne izve, ali račun obstaja; napake pri pošiljanju se samo zabeležijo.
+async function zahtevajPonastavitev(app, vloga, { Uporabnisko_ime, Mail }) {
+    const tabela = TABELE_VLOG[vloga];
+
+    const [racuni] = await pool.query(`
+        SELECT ID, Ime, Priimek, Mail, Telefon, Uporabnisko_ime
+        FROM ${tabela}
+        WHERE Aktiven = TRUE
+          AND ${Uporabnisko_ime ? 'Uporabnisko_ime = ?' : 'Mail = ?'}`,
+        [Uporabnisko_ime || Mail]
+    );
+
+    for (const racun of racuni) {
+        const { zeton, hash } = zetoni.ustvariZeton();
+
+        // Velja samo zadnji zahtevani žeton
+        await pool.query(`
+            UPDATE ponastavitve_gesla
+            SET Porabljeno = NOW()
+            WHERE Vloga = ? AND Racun_id = ? AND Porabljeno IS NULL`,
+            [vloga, racun.ID]
+        );
+
+        const [result] = await pool.query(`
+            INSERT INTO ponastavitve_gesla (Vloga, Racun_id, Zeton_hash, Potece)
+            VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+            [vloga, racun.ID, hash, VELJAVNOST_MIN]
+        );
+
+        const [[{ Potece }]] = await pool.query('SELECT Potece FROM ponastavitve_gesla WHERE ID = ?', [result.insertId]);
+
+        try {
+            await posiljanje.posljiTakoj(app, {
+                prejemnik: racun,
+                vrsta: obvestila.VRSTE.PONASTAVITEV_GESLA,
+                kanal: racun.Mail ? obvestila.KANALI.EMAIL : obvestila.KANALI.SMS,
+                podatki: { uporabnisko_ime: racun.Uporabnisko_ime, zeton, potece: Potece }
+            });
+        } catch (err) {
+            console.error(`Pošiljanje žetona za ponastavitev gesla (${vloga} ${racun.ID}) ni uspelo:`, err.message);
+        }
+    }
+}
+
+// Nastavi novo geslo z žetonom za ponastavitev. Žeton mora biti neporabljen in ne sme biti potekel.
+// Vrne false, če žeton ni veljaven.
+async function ponastaviGeslo(vloga, zeton, geslo) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Zaklenemo žeton, da ga sočasna zahteva ne more porabiti še enkrat
+        const [[ponastavitev]] = await connection.query(`
+            SELECT ID, Racun_id
+            FROM ponastavitve_gesla
+            WHERE Zeton_hash = ?
+              AND Vloga = ?
+              AND Porabljeno IS NULL
+              AND Potece > NOW()
+            FOR UPDATE`,
+            [zetoni.hashZetona(zeton), vloga]
+        );
+
+        if (!ponastavitev) {
+            await connection.rollback();
+            return false;
+        }
+
+        // Porabi tudi ta žeton
+        await nastaviGeslo(connection, vloga, ponastavitev.Racun_id, geslo);
+
+        await connection.commit();
+        return true;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    VELJAVNOST_MIN,
+    preveriGeslo,
+    nastaviGeslo,
+    spremeniGeslo,
+    zahtevajPonastavitev,
+    ponastaviGeslo
+};
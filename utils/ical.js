@@ -0,0 +1,286 @@
+const utils = require('./utils.js');
+
+// Sestavljanje koledarjev iCalendar (RFC 5545) iz terminov (utils.pridobiTermine)
+// in branje dogodkov iz uvoženih koledarjev.
+
+const PRODID = '-//frizerski_salon//Termini//SL';
+const DOMENA_UID = 'frizerski-salon';
+
+// Ubeži posebne znake v besedilnih vrednostih
+function ubezi(besedilo) {
+    return String(besedilo)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Čas v obliki UTC, npr. 20250610T140000Z
+function casUTC(cas) {
+    return new Date(cas).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Vrstice, daljše od 75 oktetov, se prelomijo; nadaljevanje se začne s presledkom.
+// Prelomimo samo med znaki, da ne razbijemo večbajtnih znakov UTF-8.
+function prelomi(vrstica) {
+    const deli = [];
+    let del = '';
+    let dolzina = 0;
+
+    for (const znak of vrstica) {
+        const bajti = Buffer.byteLength(znak);
+        const meja = deli.length === 0 ? 75 : 74;
+
+        if (dolzina + bajti > meja) {
+            deli.push(del);
+            del = '';
+            dolzina = 0;
+        }
+
+        del += znak;
+        dolzina += bajti;
+    }
+    deli.push(del);
+
+    return deli.join('\r\n ');
+}
+
+// Status termina v STATUS dogodka. Preklican termin je posodobitev s STATUS:CANCELLED.
+function statusDogodka(status) {
+    return status === 'Preklicano' ? 'CANCELLED' : 'CONFIRMED';
+}
+
+// Dogodek za termin. `vloga` ('uporabnik' ali 'frizer') določi, kdo je v povzetku: frizer ali stranka.
+function dogodek(termin, vloga) {
+    const storitve = termin.storitve.map(s => s.naziv).join(', ');
+    const oseba = vloga === 'frizer' ? termin.stranka.osebno_ime : termin.frizer;
+
+    const opis = [
+        ...termin.storitve.map(s => `${s.naziv} (${s.trajanje} min, ${s.cena} €)`),
+        `Skupaj: ${termin.skupno_trajanje} min, ${termin.skupna_cena} €`,
+        `Status: ${termin.status}`,
+        termin.opombe ? `Opombe: ${termin.opombe}` : null,
+        termin.razlog_preklica ? `Razlog preklica: ${termin.razlog_preklica}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:termin-${termin.termin_ID}@${DOMENA_UID}`,
+        `DTSTAMP:${casUTC(termin.posodobljeno)}`,
+        `LAST-MODIFIED:${casUTC(termin.posodobljeno)}`,
+        `SEQUENCE:${termin.verzija}`,
+        `DTSTART:${casUTC(termin.zacetek_termina)}`,
+        `DTEND:${casUTC(termin.konec_termina)}`,
+        `SUMMARY:${ubezi(`${storitve} - ${oseba}`)}`,
+        `DESCRIPTION:${ubezi(opis)}`,
+        `STATUS:${statusDogodka(termin.status)}`,
+        'END:VEVENT'
+    ];
+}
+
+// Koledar z dogodki za podane termine. Vrne besedilo za odgovor s tipom text/calendar.
+function koledar(ime, termini, vloga) {
+    const vrstice = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${ubezi(ime)}`,
+        ...termini.flatMap(t => dogodek(t, vloga)),
+        'END:VCALENDAR'
+    ];
+
+    return vrstice.map(prelomi).join('\r\n') + '\r\n';
+}
+
+// --- Branje koledarjev ---
+
+const DNEVI_RRULE = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+
+function odubezi(vrednost) {
+    return vrednost.replace(/\\([\\;,nN])/g, (_, znak) => (znak === 'n' || znak === 'N') ? '\n' : znak);
+}
+
+// Vrstica "IME;PARAM=vrednost:VREDNOST" v { ime, parametri, vrednost }
+function razcleniVrstico(vrstica) {
+    const ujemanje = /^([A-Za-z0-9-]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(vrstica);
+    if (!ujemanje) return null;
+
+    const parametri = {};
+    for (const par of ujemanje[2].split(';').slice(1)) {
+        const [kljuc, ...vrednost] = par.split('=');
+        parametri[kljuc.toUpperCase()] = vrednost.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { ime: ujemanje[1].toUpperCase(), parametri, vrednost: ujemanje[3] };
+}
+
+// Lokalni dan in ura iz vrednosti DATE-TIME. Čas v UTC (s končnico Z) se pretvori v lokalni čas strežnika,
+// čas s TZID ali brez pasu se vzame, kot je zapisan (časovni pas salona). Vrne null za DATE (celodnevni dogodek).
+function preberiCas(vrednost) {
+    const ujemanje = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(vrednost);
+    if (!ujemanje) return null;
+
+    const [, y, mo, d, h, mi, , utc] = ujemanje;
+
+    if (utc) {
+        const cas = new Date(Date.UTC(y, mo - 1, d, h, mi));
+        return {
+            dan: `${cas.getFullYear()}-${String(cas.getMonth() + 1).padStart(2, '0')}-${String(cas.getDate()).padStart(2, '0')}`,
+            minute: cas.getHours() * 60 + cas.getMinutes()
+        };
+    }
+
+    return { dan: `${y}-${mo}-${d}`, minute: Number(h) * 60 + Number(mi) };
+}
+
+// Trajanje (npr. PT8H30M) v minutah
+function preberiTrajanje(vrednost) {
+    const ujemanje = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(vrednost);
+    if (!ujemanje) return null;
+
+    const [tedni, dnevi, ure, minute] = ujemanje.slice(1, 5).map(v => Number(v ?? 0));
+    return ((tedni * 7 + dnevi) * 24 + ure) * 60 + minute;
+}
+
+function preberiPravilo(vrednost) {
+    const pravilo = {};
+    for (const del of vrednost.split(';')) {
+        const [kljuc, v] = del.split('=');
+        pravilo[kljuc.toUpperCase()] = v;
+    }
+    return pravilo;
+}
+
+// Prebere dogodke (VEVENT) iz besedila koledarja.
+// Vrne seznam { uid, povzetek, status, zacetek, konec, pravilo, izjeme } ali { uid, povzetek, napaka }.
+function preberiDogodke(besedilo) {
+    const vrstice = String(besedilo).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const dogodki = [];
+    let lastnosti = null;
+
+    for (const vrstica of vrstice) {
+        if (vrstica === 'BEGIN:VEVENT') {
+            lastnosti = [];
+        } else if (vrstica === 'END:VEVENT' && lastnosti) {
+            dogodki.push(sestaviDogodek(lastnosti));
+            lastnosti = null;
+        } else if (lastnosti) {
+            const lastnost = razcleniVrstico(vrstica);
+            if (lastnost) lastnosti.push(lastnost);
+        }
+    }
+
+    return dogodki;
+}
+
+function sestaviDogodek(lastnosti) {
+    const prva = ime => lastnosti.find(l => l.ime === ime);
+
+    const dogodek = {
+        uid: prva('UID')?.vrednost ?? null,
+        povzetek: prva('SUMMARY') ? odubezi(prva('SUMMARY').vrednost) : null
+    };
+
+    if (prva('RECURRENCE-ID')) {
+        return { ...dogodek, napaka: 'Spremembe posameznih ponovitev (RECURRENCE-ID) niso podprte.' };
+    }
+
+    const zacetek = prva('DTSTART') && preberiCas(prva('DTSTART').vrednost);
+    if (!zacetek) {
+        return { ...dogodek, napaka: 'Dogodek nima začetka z uro (celodnevni dogodki niso podprti).' };
+    }
+
+    let trajanje;
+    if (prva('DTEND')) {
+        const konec = preberiCas(prva('DTEND').vrednost);
+        if (!konec) return { ...dogodek, napaka: 'Neveljaven konec dogodka.' };
+
+        const dni = (new Date(`${konec.dan}T00:00:00Z`) - new Date(`${zacetek.dan}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+        trajanje = dni * 24 * 60 + konec.minute - zacetek.minute;
+    } else if (prva('DURATION')) {
+        trajanje = preberiTrajanje(prva('DURATION').vrednost);
+    }
+
+    if (!trajanje || trajanje <= 0) {
+        return { ...dogodek, napaka: 'Dogodek nima veljavnega konca ali trajanja.' };
+    }
+
+    if (zacetek.minute + trajanje > 24 * 60) {
+        return { ...dogodek, napaka: 'Dogodek traja čez polnoč.' };
+    }
+
+    const izjeme = lastnosti
+        .filter(l => l.ime === 'EXDATE')
+        .flatMap(l => l.vrednost.split(','))
+        .map(v => preberiCas(v)?.dan ?? (/^\d{8}$/.test(v) ? `${v.slice(0, 4)}-${v.slice(4, 6)}-${v.slice(6, 8)}` : null))
+        .filter(Boolean);
+
+    return {
+        ...dogodek,
+        status: prva('STATUS')?.vrednost.toUpperCase() ?? null,
+        zacetek: { dan: zacetek.dan, cas: utils.minuteVCas(zacetek.minute) },
+        konec: utils.minuteVCas(zacetek.minute + trajanje),
+        pravilo: prva('RRULE') ? preberiPravilo(prva('RRULE').vrednost) : null,
+        izjeme
+    };
+}
+
+// Dnevi (YYYY-MM-DD) v obdobju od-do, na katere pade dogodek iz preberiDogodke.
+// Podprta so tedenska pravila RRULE (INTERVAL, BYDAY, COUNT, UNTIL) in izjeme EXDATE. Vrne { dnevi } ali { napaka }.
+function dneviDogodka(dogodek, od, doDne) {
+    const prvi = dogodek.zacetek.dan;
+
+    if (!dogodek.pravilo) {
+        return { dnevi: prvi >= od && prvi <= doDne && !dogodek.izjeme.includes(prvi) ? [prvi] : [] };
+    }
+
+    const { FREQ, INTERVAL = '1', BYDAY, COUNT, UNTIL } = dogodek.pravilo;
+
+    if (FREQ !== 'WEEKLY') {
+        return { napaka: `Pravilo ponavljanja ${FREQ} ni podprto (samo WEEKLY).` };
+    }
+
+    const dneviVTednu = BYDAY
+        ? BYDAY.split(',').map(d => DNEVI_RRULE[d.trim().toUpperCase()])
+        : [utils.danVTednu(prvi)];
+
+    if (dneviVTednu.some(d => !d)) {
+        return { napaka: 'Neveljaven BYDAY v pravilu ponavljanja.' };
+    }
+
+    const razmik = Number(INTERVAL);
+    const zadnji = UNTIL ? (preberiCas(UNTIL)?.dan ?? `${UNTIL.slice(0, 4)}-${UNTIL.slice(4, 6)}-${UNTIL.slice(6, 8)}`) : null;
+    const meja = zadnji && zadnji < doDne ? zadnji : doDne;
+    const steviloPonovitev = COUNT ? Number(COUNT) : Infinity;
+
+    if (!Number.isInteger(razmik) || razmik < 1) {
+        return { napaka: 'Neveljaven INTERVAL v pravilu ponavljanja.' };
+    }
+
+    const dnevi = [];
+    let ponovitve = 0;
+
+    // Tedni se začnejo s ponedeljkom (privzeti WKST)
+    for (let ponedeljek = utils.dodajDni(prvi, 1 - utils.danVTednu(prvi)); ponedeljek <= meja; ponedeljek = utils.dodajDni(ponedeljek, 7 * razmik)) {
+        for (const danVTednu of [...new Set(dneviVTednu)].sort()) {
+            const dan = utils.dodajDni(ponedeljek, danVTednu - 1);
+
+            if (dan < prvi || dan > meja) continue;
+            if (++ponovitve > steviloPonovitev) return { dnevi };
+
+            if (dan >= od && !dogodek.izjeme.includes(dan)) {
+                dnevi.push(dan);
+            }
+        }
+    }
+
+    return { dnevi };
+}
+
+module.exports = {
+    koledar,
+    preberiDogodke,
+    dneviDogodka
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const pool = require('./db.js');
+const utils = require('./utils.js');
+
+// Zasebni koledarji uporabnikov in frizerjev.
+// Žeton koledarja v URL-ju nadomesti prijavo, ker koledarske aplikacije in brskalniki ne pošiljajo glave Authorization.
+
+// Tabela računov in stolpec termina za vsako vlogo
+const VLOGE = {
+    uporabnik: { tabela: 'uporabniki', stolpec: 'Uporabniki_id' },
+    frizer: { tabela: 'frizerji', stolpec: 'Frizerji_id' }
+};
+
+// Vrne žeton koledarja računa. Če ga še ni ali je `nov`, ustvari novega.
+// Znotraj transakcije podamo povezavo `db`.
+async function zetonKoledarja(vloga, ID, nov = false, db = pool) {
+    const { tabela } = VLOGE[vloga];
+
+    if (!nov) {
+        const [[racun]] = await db.query(`SELECT Koledar_zeton FROM ${tabela} WHERE ID = ?`, [ID]);
+        if (racun?.Koledar_zeton) return racun.Koledar_zeton;
+    }
+
+    const zeton = crypto.randomBytes(24).toString('hex');
+    await db.query(`UPDATE ${tabela} SET Koledar_zeton = ? WHERE ID = ?`, [zeton, ID]);
+
+    return zeton;
+}
+
+// URL celotnega koledarja računa
+function urlKoledarja(req, vloga, zeton) {
+    return utils.urlVira(req, `/koledar/${vloga}/${zeton}.ics`);
+}
+
+// URL za prenos enega termina, zaščiten z istim žetonom kot koledar
+function urlTermina(req, vloga, zeton, termin_ID) {
+    return utils.urlVira(req, `/koledar/${vloga}/${zeton}/termini/${termin_ID}.ics`);
+}
+
+module.exports = {
+    VLOGE,
+    zetonKoledarja,
+    urlKoledarja,
+    urlTermina
+};
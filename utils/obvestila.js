@@ -0,0 +1,57 @@
+// Obvestila uporabnikom in frizerjem.
+// Endpointi obvestila samo dodajo v tabelo `obvestila` (v isti transakciji kot spremembo termina),
+// zato se obvestilo ne izgubi, če se sprememba shrani, in ne pošlje, če se ne.
+// Pošlje jih utils/posiljanje.js.
+
+// Vrste obvestil. Za vsako vrsto obstajata predlogi views/obvestila/email/<vrsta>.ejs in views/obvestila/sms/<vrsta>.ejs.
+const VRSTE = {
+    REGISTRACIJA: 'registracija',
+    REZERVACIJA: 'rezervacija',
+    PREKLIC: 'preklic',
+    ODPOVED_TERMINA: 'odpoved_termina',
+    OPOMNIK: 'opomnik',
+    PONASTAVITEV_GESLA: 'ponastavitev_gesla'
+};
+
+// Zadeva e-pošte za posamezno vrsto obvestila
+const ZADEVE = {
+    [VRSTE.REGISTRACIJA]: 'Dobrodošli v frizerskem salonu',
+    [VRSTE.REZERVACIJA]: 'Potrditev rezervacije termina',
+    [VRSTE.PREKLIC]: 'Termin je preklican',
+    [VRSTE.ODPOVED_TERMINA]: 'Salon je preklical vaš termin',
+    [VRSTE.OPOMNIK]: 'Opomnik na termin',
+    [VRSTE.PONASTAVITEV_GESLA]: 'Ponastavitev gesla'
+};
+
+const KANALI = {
+    EMAIL: 'email',
+    SMS: 'sms'
+};
+
+// Čas termina v obliki za sporočila, npr. "10. 6. 2025 ob 14:00"
+function formatCasa(cas) {
+    const d = new Date(cas);
+    const ura = `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+
+    return `${d.getDate()}. ${d.getMonth() + 1}. ${d.getFullYear()} ob ${ura}`;
+}
+
+// Doda obvestilo v vrsto za pošiljanje. Prejemnik je uporabnik (uporabnik_ID) ali frizer (frizer_ID).
+// `podatki` so shranjeni kot JSON in so na voljo v predlogi sporočila.
+async function dodajObvestilo(db, { uporabnik_ID = null, frizer_ID = null, termin_ID = null, vrsta, kanal = KANALI.EMAIL, podatki = {} }) {
+    const [result] = await db.query(`
+        INSERT INTO obvestila (Uporabniki_id, Frizerji_id, Termini_id, Vrsta, Kanal, Podatki)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+        [uporabnik_ID, frizer_ID, termin_ID, vrsta, kanal, JSON.stringify(podatki)]
+    );
+
+    return result.insertId;
+}
+
+module.exports = {
+    VRSTE,
+    ZADEVE,
+    KANALI,
+    formatCasa,
+    dodajObvestilo
+};
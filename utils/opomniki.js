@@ -0,0 +1,89 @@
+const pool = require('./db.js');
+const utils = require('./utils.js');
+const obvestila = require('./obvestila.js');
+const statusi = require('./statusi.js');
+
+// Opomniki za prihajajoče termine.
+// - OPOMNIK_UR_PRED: koliko ur pred začetkom termina stranka dobi opomnik
+// - OPOMNIK_INTERVAL_MIN: kako pogosto razporejevalnik išče termine za opomnik
+const UR_PRED = Number(process.env.OPOMNIK_UR_PRED ?? 24);
+const INTERVAL_MIN = Number(process.env.OPOMNIK_INTERVAL_MIN ?? 5);
+
+// Besedilo opomnika iz podatkov termina (utils.pridobiTermine)
+function besediloOpomnika(termin) {
+    const storitve = termin.storitve.map(s => s.naziv).join(', ');
+
+    return `Pozdravljeni ${termin.stranka.osebno_ime}, opominjamo vas na termin ` +
+        `${obvestila.formatCasa(termin.zacetek_termina)} pri frizerju ${termin.frizer} (${storitve}).`;
+}
+
+// Doda opomnik v vrsto obvestil za vsak rezerviran termin, ki se začne v naslednjih UR_PRED urah
+// in zanj opomnik še ni bil dodan. Unikatni ključ v tabeli `opomniki` zagotavlja, da se opomnik
+// doda samo enkrat, tudi če opravilo teče na več strežnikih ali se ponovi po ponovnem zagonu.
+// Vrne število dodanih opomnikov.
+async function dodajOpomnike() {
+    const termini = await utils.pridobiTermine(`
+        t.Status = ?
+        AND t.Cas_termina > NOW()
+        AND t.Cas_termina <= DATE_ADD(NOW(), INTERVAL ? HOUR)
+        AND NOT EXISTS (SELECT 1 FROM opomniki o WHERE o.Termini_id = t.ID)`,
+        [statusi.STATUSI.REZERVIRANO, UR_PRED]);
+
+    let dodani = 0;
+
+    for (const termin of termini) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT IGNORE INTO opomniki (Termini_id)
+                VALUES (?)`,
+                [termin.termin_ID]
+            );
+
+            // Opomnik je medtem dodal že nekdo drug
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                continue;
+            }
+
+            const obvestilo_ID = await obvestila.dodajObvestilo(connection, {
+                uporabnik_ID: termin.stranka.id,
+                termin_ID: termin.termin_ID,
+                vrsta: obvestila.VRSTE.OPOMNIK,
+                podatki: {
+                    frizer: termin.frizer,
+                    storitve: termin.storitve.map(s => s.naziv),
+                    zacetek_termina: termin.zacetek_termina,
+                    konec_termina: termin.konec_termina,
+                    besedilo: besediloOpomnika(termin)
+                }
+            });
+
+            await connection.query(`
+                UPDATE opomniki
+                SET Obvestila_id = ?
+                WHERE ID = ?`,
+                [obvestilo_ID, result.insertId]
+            );
+
+            await connection.commit();
+            dodani++;
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        } finally {
+            connection.release();
+        }
+    }
+
+    return dodani;
+}
+
+module.exports = {
+    UR_PRED,
+    INTERVAL_MIN,
+    besediloOpomnika,
+    dodajOpomnike
+};
@@ -0,0 +1,198 @@
+const pool = require('./db.js');
+const utils = require('./utils.js');
+const obvestila = require('./obvestila.js');
+const transporti = require('./transporti.js');
+
+// Pošiljanje obvestil iz vrste (tabela `obvestila`).
+// Opravilo razporejevalnika prevzame paket obvestil, ki čakajo, jih izriše s predlogami EJS
+// (isti pogon, kot ga nastavi app.js) in pošlje prek transporta za kanal.
+// Neuspešno pošiljanje se ponovi z eksponentnim zamikom, po MAX_POSKUSOV poskusih obvestilo ostane v stanju 'Napaka'.
+//
+// Nastavitve:
+// - OBVESTILA_INTERVAL_MIN: kako pogosto se pošiljajo obvestila
+// - OBVESTILA_MAX_POSKUSOV: največ poskusov pošiljanja
+// - OBVESTILA_ZAMIK_MIN: zamik pred prvim ponovnim poskusom, vsak naslednji se podvoji
+const INTERVAL_MIN = Number(process.env.OBVESTILA_INTERVAL_MIN ?? 1);
+const MAX_POSKUSOV = Number(process.env.OBVESTILA_MAX_POSKUSOV ?? 5);
+const ZAMIK_MIN = Number(process.env.OBVESTILA_ZAMIK_MIN ?? 1);
+
+// Koliko obvestil se prevzame naenkrat in za koliko minut
+const VELIKOST_PAKETA = 20;
+const ZAKUP_MIN = 5;
+
+// Napaka, pri kateri ponovni poskus nima smisla (npr. prejemnik nima telefonske številke)
+class TrajnaNapaka extends Error {}
+
+// Prevzame obvestila, ki so na vrsti za pošiljanje. Prevzeta obvestila se za ZAKUP_MIN minut
+// preložijo, zato jih drug proces medtem ne prevzame, ob padcu procesa pa se pošiljanje nadaljuje.
+async function prevzemiObvestila() {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [vrstice] = await connection.query(`
+            SELECT
+             o.ID,
+             o.Termini_id,
+             o.Vrsta,
+             o.Kanal,
+             o.Podatki,
+             o.Poskusi,
+             COALESCE(u.Ime, f.Ime) AS Ime,
+             COALESCE(u.Priimek, f.Priimek) AS Priimek,
+             COALESCE(u.Mail, f.Mail) AS Mail,
+             COALESCE(u.Telefon, f.Telefon) AS Telefon
+            FROM obvestila o
+            LEFT JOIN uporabniki u ON u.ID = o.Uporabniki_id
+            LEFT JOIN frizerji f ON f.ID = o.Frizerji_id
+            WHERE o.Stanje = 'Čaka'
+              AND o.Naslednji_poskus <= NOW()
+            ORDER BY o.Naslednji_poskus, o.ID
+            LIMIT ?
+            FOR UPDATE OF o SKIP LOCKED`,
+            [VELIKOST_PAKETA]
+        );
+
+        if (vrstice.length > 0) {
+            await connection.query(`
+                UPDATE obvestila
+                SET Naslednji_poskus = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+                WHERE ID IN (?)`,
+                [ZAKUP_MIN, vrstice.map(v => v.ID)]
+            );
+        }
+
+        await connection.commit();
+        return vrstice;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+function izrisi(app, pogled, locals) {
+    return new Promise((resolve, reject) => {
+        app.render(pogled, locals, (err, html) => err ? reject(err) : resolve(html));
+    });
+}
+
+// Izriše besedilo (in pri e-pošti zadevo ter HTML) sporočila vrste `vrsta` za kanal
+async function izrisiSporocilo(app, vrsta, kanal, locals) {
+    const besedilo = (await izrisi(app, `obvestila/sms/${vrsta}`, locals)).trim();
+
+    if (kanal === obvestila.KANALI.SMS) {
+        return { besedilo };
+    }
+
+    return {
+        zadeva: obvestila.ZADEVE[vrsta],
+        besedilo,
+        html: await izrisi(app, `obvestila/email/${vrsta}`, locals)
+    };
+}
+
+// Sestavi sporočilo iz predlog. Če se obvestilo nanaša na termin, predloge dobijo podatke termina
+// v enaki obliki kot /termini/pregled (utils.pridobiTermine).
+async function sestaviSporocilo(app, obvestilo) {
+    const prejemnik = obvestilo.Kanal === obvestila.KANALI.SMS ? obvestilo.Telefon : obvestilo.Mail;
+
+    if (!prejemnik) {
+        throw new TrajnaNapaka(`Prejemnik nima naslova za kanal '${obvestilo.Kanal}'.`);
+    }
+
+    const [termin = null] = obvestilo.Termini_id
+        ? await utils.pridobiTermine('t.ID = ?', [obvestilo.Termini_id])
+        : [];
+
+    const locals = {
+        prejemnik: { ime: obvestilo.Ime, priimek: obvestilo.Priimek },
+        podatki: typeof obvestilo.Podatki === 'string' ? JSON.parse(obvestilo.Podatki) : obvestilo.Podatki,
+        termin,
+        formatCasa: obvestila.formatCasa
+    };
+
+    return { prejemnik, ...(await izrisiSporocilo(app, obvestilo.Vrsta, obvestilo.Kanal, locals)) };
+}
+
+// Pošlje sporočilo takoj, mimo vrste obvestil. Namenjeno sporočilom z enkratnimi žetoni
+// (npr. ponastavitev gesla), ki jih ne shranjujemo v bazo v berljivi obliki in jih zato ni mogoče ponoviti.
+// `prejemnik` je vrstica računa z Ime, Priimek, Mail in Telefon.
+async function posljiTakoj(app, { prejemnik, vrsta, kanal = obvestila.KANALI.EMAIL, podatki = {} }) {
+    const naslov = kanal === obvestila.KANALI.SMS ? prejemnik.Telefon : prejemnik.Mail;
+
+    if (!naslov) {
+        throw new TrajnaNapaka(`Prejemnik nima naslova za kanal '${kanal}'.`);
+    }
+
+    const locals = {
+        prejemnik: { ime: prejemnik.Ime, priimek: prejemnik.Priimek },
+        podatki,
+        termin: null,
+        formatCasa: obvestila.formatCasa
+    };
+
+    const sporocilo = await izrisiSporocilo(app, vrsta, kanal, locals);
+    await transporti.transportZaKanal(kanal).poslji({ prejemnik: naslov, ...sporocilo });
+}
+
+async function oznaciPoslano(obvestilo) {
+    await pool.query(`
+        UPDATE obvestila
+        SET Stanje = 'Poslano', Poslano = NOW(), Poskusi = ?, Napaka = NULL
+        WHERE ID = ?`,
+        [obvestilo.Poskusi + 1, obvestilo.ID]
+    );
+}
+
+// Zabeleži neuspešen poskus in določi naslednjega (1, 2, 4, 8 ... krat ZAMIK_MIN minut)
+async function oznaciNeuspeh(obvestilo, err) {
+    const poskusi = obvestilo.Poskusi + 1;
+    const koncano = err instanceof TrajnaNapaka || poskusi >= MAX_POSKUSOV;
+
+    await pool.query(`
+        UPDATE obvestila
+        SET Stanje = ?, Poskusi = ?, Napaka = ?, Naslednji_poskus = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+        WHERE ID = ?`,
+        [
+            koncano ? 'Napaka' : 'Čaka',
+            poskusi,
+            String(err.message).slice(0, 500),
+            ZAMIK_MIN * 2 ** (poskusi - 1),
+            obvestilo.ID
+        ]
+    );
+}
+
+// Pošlje obvestila, ki čakajo. Vrne število poslanih in neuspešnih.
+async function posljiObvestila({ app }) {
+    const rezultat = { poslana: 0, neuspesna: 0 };
+
+    let paket;
+    do {
+        paket = await prevzemiObvestila();
+
+        for (const obvestilo of paket) {
+            try {
+                const sporocilo = await sestaviSporocilo(app, obvestilo);
+                await transporti.transportZaKanal(obvestilo.Kanal).poslji(sporocilo);
+                await oznaciPoslano(obvestilo);
+                rezultat.poslana++;
+            } catch (err) {
+                console.error(`Pošiljanje obvestila ${obvestilo.ID} ni uspelo:`, err.message);
+                await oznaciNeuspeh(obvestilo, err);
+                rezultat.neuspesna++;
+            }
+        }
+    } while (paket.length === VELIKOST_PAKETA);
+
+    return rezultat;
+}
+
+module.exports = {
+    INTERVAL_MIN,
+    MAX_POSKUSOV,
+    posljiObvestila,
+    posljiTakoj
+};
@@ -0,0 +1,187 @@
+const createError = require('http-errors');
+const utils = require('./utils.js');
+const urnik = require('./urnik.js');
+
+// Pravila rezervacije terminov.
+// Uporabljajo jih razpoložljivost, iskanje, predogled, rezervacija in prestavitev,
+// zato vsi endpointi enako odločijo, ali je termin mogoče rezervirati.
+//
+// Nastavitve salona:
+// - MIN_NAPOVED_MIN: najmanj koliko minut vnaprej je treba rezervirati termin
+// - MAX_HORIZONT_DNI: največ koliko dni vnaprej je mogoče rezervirati termin
+// - MAX_AKTIVNIH_REZERVACIJ: največje število prihodnjih rezerviranih terminov enega uporabnika
+// - ROK_PREKLICA_UR: najmanj koliko ur pred začetkom je termin mogoče brezplačno preklicati ali prestaviti
+//   (storitev lahko nastavi svoj rok v polju Rok_preklica_ur pri POST/PUT /storitve)
+const MIN_NAPOVED_MIN = Number(process.env.MIN_NAPOVED_MIN ?? 60);
+const MAX_HORIZONT_DNI = Number(process.env.MAX_HORIZONT_DNI ?? 90);
+const MAX_AKTIVNIH_REZERVACIJ = Number(process.env.MAX_AKTIVNIH_REZERVACIJ ?? 3);
+const ROK_PREKLICA_UR = Number(process.env.ROK_PREKLICA_UR ?? 24);
+
+// Kode kršitev, ki jih endpointi vrnejo v polju `koda`
+const KODE = {
+    NI_NA_MREZI: 'NI_NA_MREZI',
+    PRETEKLOST: 'PRETEKLOST',
+    PREKRATKA_NAPOVED: 'PREKRATKA_NAPOVED',
+    PREKO_HORIZONTA: 'PREKO_HORIZONTA',
+    IZVEN_DELOVNIKA: 'IZVEN_DELOVNIKA',
+    ODSOTNOST: 'ODSOTNOST',
+    ZASEDENO: 'ZASEDENO',
+    PREVEC_REZERVACIJ: 'PREVEC_REZERVACIJ',
+    PO_ROKU_PREKLICA: 'PO_ROKU_PREKLICA'
+};
+
+function krsitev(status, koda, message) {
+    return createError(status, message, { koda });
+}
+
+// Lokalni datum (YYYY-MM-DD) časa `cas`
+function lokalniDatum(cas) {
+    const y = cas.getFullYear();
+    const m = String(cas.getMonth() + 1).padStart(2, '0');
+    const d = String(cas.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
+
+// Najzgodnejši dovoljen začetek termina in zadnji dan, ko je termin še mogoče rezervirati
+function dovoljenoObdobje(zdaj = new Date()) {
+    const najzgodneje = new Date(zdaj.getTime() + MIN_NAPOVED_MIN * 60 * 1000);
+
+    return {
+        najzgodneje,
+        zadnjiDan: utils.dodajDni(lokalniDatum(zdaj), MAX_HORIZONT_DNI)
+    };
+}
+
+// Časovna pravila, za katera ne potrebujemo baze. Vrne kršitev ali null.
+function preveriCas(dan, ura, zdaj = new Date()) {
+    if (!utils.naMrezi(ura, urnik.KORAK)) {
+        return krsitev(400, KODE.NI_NA_MREZI, `Termin se lahko začne samo na vsakih ${urnik.KORAK} minut.`);
+    }
+
+    const zacetek = new Date(`${dan}T${ura}:00`);
+    const { najzgodneje, zadnjiDan } = dovoljenoObdobje(zdaj);
+
+    if (zacetek <= zdaj) {
+        return krsitev(409, KODE.PRETEKLOST, 'Termina v preteklosti ni mogoče rezervirati.');
+    }
+
+    if (zacetek < najzgodneje) {
+        return krsitev(409, KODE.PREKRATKA_NAPOVED, `Termin je treba rezervirati najmanj ${MIN_NAPOVED_MIN} minut vnaprej.`);
+    }
+
+    if (dan > zadnjiDan) {
+        return krsitev(409, KODE.PREKO_HORIZONTA, `Termin je mogoče rezervirati največ ${MAX_HORIZONT_DNI} dni vnaprej.`);
+    }
+
+    return null;
+}
+
+// Preveri vsa pravila za termin pri frizerju. Vrne kršitev ali null.
+// - termin se začne na mreži, ni v preteklosti, upošteva najkrajšo napoved in najdaljši horizont
+// - celoten termin (s pripravo in čiščenjem) je znotraj enega delovnika
+// - frizer v tem času ni odsoten in nima drugega termina
+// - uporabnik nima preveč prihodnjih rezervacij (če je podan uporabnik_ID)
+// Pri prestavitvi se z `izkljuciTermin` izloči termin, ki ga prestavljamo.
+async function preveriTermin(db, { uporabnik_ID = null, frizer_ID, dan, ura, trajanje, izkljuciTermin = null, zakleni = false }) {
+    const casovnaKrsitev = preveriCas(dan, ura);
+    if (casovnaKrsitev) return casovnaKrsitev;
+
+    if (!(await urnik.delaVTerminu(db, frizer_ID, dan, ura, trajanje))) {
+        return krsitev(409, KODE.IZVEN_DELOVNIKA, 'Frizer v izbranem terminu ni na voljo.');
+    }
+
+    if (await urnik.odsotenVTerminu(db, frizer_ID, dan, ura, trajanje)) {
+        return krsitev(409, KODE.ODSOTNOST, 'Frizer v izbranem terminu ni na voljo.');
+    }
+
+    const zasedeni = await urnik.prekrivajociTermini(db, frizer_ID, `${dan} ${ura}:00`, trajanje, { izkljuciTermin, zakleni });
+    if (zasedeni.length > 0) {
+        return krsitev(409, KODE.ZASEDENO, 'Izbrani termin ni na voljo.');
+    }
+
+    if (uporabnik_ID) {
+        // Z `zakleni` zaklenemo uporabnika in njegove rezervirane termine do konca transakcije,
+        // zato sočasni rezervaciji istega uporabnika ne moreta obe prestati omejitve števila rezervacij
+        if (zakleni) {
+            await db.query('SELECT ID FROM uporabniki WHERE ID = ? FOR UPDATE', [uporabnik_ID]);
+        }
+
+        const [[{ stevilo }]] = await db.query(`
+            SELECT COUNT(*) AS stevilo
+            FROM termini
+            WHERE Uporabniki_id = ?
+              AND Status = 'Rezervirano'
+              AND Cas_termina > NOW()
+              AND ID <> ?
+            ${zakleni ? 'FOR UPDATE' : ''}`,
+            [uporabnik_ID, izkljuciTermin ?? 0]
+        );
+
+        if (Number(stevilo) >= MAX_AKTIVNIH_REZERVACIJ) {
+            return krsitev(409, KODE.PREVEC_REZERVACIJ, `Imate lahko največ ${MAX_AKTIVNIH_REZERVACIJ} aktivnih rezervacij.`);
+        }
+    }
+
+    return null;
+}
+
+// Iz razpoložljivih blokov dneva (utils.razpolozljiviBloki) odstrani začetke,
+// ki kršijo časovna pravila (preteklost, najkrajša napoved, najdaljši horizont)
+function omejiBloke(dan, bloki, zdaj = new Date()) {
+    const { najzgodneje, zadnjiDan } = dovoljenoObdobje(zdaj);
+    const danNajzgodneje = lokalniDatum(najzgodneje);
+
+    if (dan > zadnjiDan || dan < danNajzgodneje) return [];
+    if (dan > danNajzgodneje) return bloki;
+
+    // Najzgodnejši začetek je na ta dan, začetki pred njim niso dovoljeni
+    const minMinute = najzgodneje.getHours() * 60 + najzgodneje.getMinutes() + (najzgodneje.getSeconds() > 0 ? 1 : 0);
+
+    return bloki
+        .filter(b => utils.casVMinute(b.do) >= minMinute)
+        .map(b => ({
+            od: utils.casVMinute(b.od) >= minMinute ? b.od : utils.minuteVCas(minMinute),
+            do: b.do
+        }));
+}
+
+// Rok preklica termina, ki se začne ob `zacetek`.
+// Vsaka storitev ima svoj rok (`rok_preklica_ur`) ali rok salona, za termin velja največji.
+// Vrne { rok_preklica_ur, rok_preklica }, kjer je rok_preklica zadnji trenutek brezplačnega preklica.
+function rokPreklica(zacetek, storitve = []) {
+    const rok_preklica_ur = storitve.length > 0
+        ? Math.max(...storitve.map(s => s.rok_preklica_ur ?? ROK_PREKLICA_UR))
+        : ROK_PREKLICA_UR;
+
+    return {
+        rok_preklica_ur,
+        rok_preklica: new Date(new Date(zacetek).getTime() - rok_preklica_ur * 60 * 60 * 1000)
+    };
+}
+
+// Rok preklica obstoječega termina iz baze
+async function rokPreklicaTermina(db, termin_ID, zacetek) {
+    const [storitve] = await db.query(`
+        SELECT s.Rok_preklica_ur AS rok_preklica_ur
+        FROM termini_storitve ts
+        JOIN storitve s ON s.ID = ts.Storitve_id
+        WHERE ts.Termini_id = ?`,
+        [termin_ID]
+    );
+
+    return rokPreklica(zacetek, storitve);
+}
+
+module.exports = {
+    KODE,
+    MIN_NAPOVED_MIN,
+    MAX_HORIZONT_DNI,
+    MAX_AKTIVNIH_REZERVACIJ,
+    ROK_PREKLICA_UR,
+    krsitev,
+    preveriCas,
+    preveriTermin,
+    omejiBloke,
+    rokPreklica,
+    rokPreklicaTermina
+};
@@ -0,0 +1,61 @@
+// Razporejevalnik opravil v ozadju.
+// Opravila tečejo v istem procesu kot strežnik, zažene jih bin/www.
+// Vsako opravilo se izvaja periodično; nov zagon se ne začne, dokler prejšnji ni končan.
+// Opravila dobijo kontekst, podan ob zagonu (npr. { app } za izris predlog).
+const opomniki = require('./opomniki.js');
+const posiljanje = require('./posiljanje.js');
+const webhooki = require('./webhooki.js');
+
+const opravila = [];
+let zagnan = false;
+let kontekst = {};
+
+// Registrira opravilo `fn`, ki se izvede vsakih `intervalMin` minut
+function dodajOpravilo(ime, intervalMin, fn) {
+    opravila.push({ ime, intervalMs: intervalMin * 60 * 1000, fn, teče: false, casovnik: null });
+}
+
+async function izvedi(opravilo) {
+    if (opravilo.teče) return;
+
+    opravilo.teče = true;
+    try {
+        await opravilo.fn(kontekst);
+    } catch (err) {
+        console.error(`Napaka v opravilu '${opravilo.ime}':`, err);
+    } finally {
+        opravilo.teče = false;
+    }
+}
+
+// Zažene vsa opravila. Vsako se izvede takoj in nato periodično.
+function zazeni(kontekstZagona = {}) {
+    if (zagnan) return;
+    zagnan = true;
+    kontekst = kontekstZagona;
+
+    for (const opravilo of opravila) {
+        izvedi(opravilo);
+        opravilo.casovnik = setInterval(() => izvedi(opravilo), opravilo.intervalMs);
+        // Časovnik ne drži procesa pri življenju
+        opravilo.casovnik.unref();
+    }
+}
+
+function ustavi() {
+    for (const opravilo of opravila) {
+        clearInterval(opravilo.casovnik);
+        opravilo.casovnik = null;
+    }
+    zagnan = false;
+}
+
+dodajOpravilo('opomniki', opomniki.INTERVAL_MIN, opomniki.dodajOpomnike);
+dodajOpravilo('obvestila', posiljanje.INTERVAL_MIN, posiljanje.posljiObvestila);
+dodajOpravilo('webhooki', webhooki.INTERVAL_MIN, webhooki.dostaviWebhooke);
+
+module.exports = {
+    dodajOpravilo,
+    zazeni,
+    ustavi
+};
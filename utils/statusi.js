@@ -0,0 +1,43 @@
+// Statusi termina in dovoljeni prehodi med njimi
+const STATUSI = {
+    REZERVIRANO: 'Rezervirano',
+    V_TEKU: 'V teku',
+    OPRAVLJENO: 'Opravljeno',
+    NEPRIHOD: 'Neprihod',
+    PREKLICANO: 'Preklicano'
+};
+
+const PREHODI = {
+    [STATUSI.REZERVIRANO]: [STATUSI.V_TEKU, STATUSI.NEPRIHOD, STATUSI.PREKLICANO],
+    [STATUSI.V_TEKU]: [STATUSI.OPRAVLJENO],
+    [STATUSI.OPRAVLJENO]: [],
+    [STATUSI.NEPRIHOD]: [],
+    [STATUSI.PREKLICANO]: []
+};
+
+function dovoljenPrehod(iz, v) {
+    return (PREHODI[iz] || []).includes(v);
+}
+
+// Spremeni status termina samo, če je termin še vedno v statusu `iz`.
+// Tako dve sočasni spremembi ne moreta obe uspeti.
+// Z `dodatno` se hkrati nastavijo še drugi stolpci termina (npr. Cas_preklica).
+// Vrne true, če je bil status spremenjen.
+async function spremeniStatus(db, termin_ID, iz, v, dodatno = {}) {
+    if (!dovoljenPrehod(iz, v)) return false;
+
+    const [result] = await db.query(`
+        UPDATE termini
+        SET ?, Verzija = Verzija + 1
+        WHERE ID = ? AND Status = ?`,
+        [{ ...dodatno, Status: v }, termin_ID, iz]
+    );
+
+    return result.affectedRows === 1;
+}
+
+module.exports = {
+    STATUSI,
+    dovoljenPrehod,
+    spremeniStatus
+};
@@ -0,0 +1,119 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transporti za pošiljanje obvestil.
+// Vsak transport ima metodo `poslji({ prejemnik, zadeva, besedilo, html })`, ki ob neuspehu vrže napako.
+//
+// Nastavitve:
+// - OBVESTILA_EMAIL_TRANSPORT: smtp | datoteka | konzola (privzeto konzola)
+// - OBVESTILA_SMS_TRANSPORT: prehod | datoteka | konzola (privzeto konzola)
+// - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_OD: nastavitve SMTP strežnika
+// - SMS_PREHOD_URL, SMS_PREHOD_KLJUC, SMS_POSILJATELJ: nastavitve SMS prehoda
+// - OBVESTILA_DATOTEKA: datoteka za transport `datoteka` (privzeto obvestila.log)
+
+function smtpTransport({ host, port, secure, user, pass, od }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        ime: 'smtp',
+        async poslji({ prejemnik, zadeva, besedilo, html }) {
+            await transporter.sendMail({ from: od, to: prejemnik, subject: zadeva, text: besedilo, html });
+        }
+    };
+}
+
+// SMS prehod sprejme POST z JSON telesom { to, from, message }.
+// Ponudnika zamenjamo tako, da nastavimo drug URL ali napišemo transport z enakim vmesnikom.
+function smsPrehodTransport({ url, kljuc, posiljatelj }) {
+    return {
+        ime: 'prehod',
+        async poslji({ prejemnik, besedilo }) {
+            const odgovor = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(kljuc ? { Authorization: `Bearer ${kljuc}` } : {})
+                },
+                body: JSON.stringify({ to: prejemnik, from: posiljatelj, message: besedilo })
+            });
+
+            if (!odgovor.ok) {
+                throw new Error(`SMS prehod je vrnil status ${odgovor.status}.`);
+            }
+        }
+    };
+}
+
+// Sporočila zapiše v datoteko, eno JSON vrstico na sporočilo (za razvoj in teste)
+function datotekaTransport(datoteka) {
+    return {
+        ime: 'datoteka',
+        async poslji(sporocilo) {
+            await fs.appendFile(datoteka, JSON.stringify({ cas: new Date(), ...sporocilo }) + '\n');
+        }
+    };
+}
+
+function konzolaTransport() {
+    return {
+        ime: 'konzola',
+        async poslji({ prejemnik, zadeva, besedilo }) {
+            console.log(`[obvestilo] ${prejemnik}${zadeva ? ` - ${zadeva}` : ''}\n${besedilo}`);
+        }
+    };
+}
+
+function ustvariTransport(vrsta) {
+    switch (vrsta) {
+        case 'smtp':
+            return smtpTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT ?? 587),
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+                od: process.env.SMTP_OD
+            });
+        case 'prehod':
+            return smsPrehodTransport({
+                url: process.env.SMS_PREHOD_URL,
+                kljuc: process.env.SMS_PREHOD_KLJUC,
+                posiljatelj: process.env.SMS_POSILJATELJ
+            });
+        case 'datoteka':
+            return datotekaTransport(path.resolve(process.env.OBVESTILA_DATOTEKA || 'obvestila.log'));
+        case 'konzola':
+            return konzolaTransport();
+        default:
+            throw new Error(`Neznan transport obvestil: ${vrsta}`);
+    }
+}
+
+const transporti = {};
+
+// Transport za kanal ('email' ali 'sms') glede na nastavitve
+function transportZaKanal(kanal) {
+    if (!transporti[kanal]) {
+        const vrsta = kanal === 'sms'
+            ? process.env.OBVESTILA_SMS_TRANSPORT || 'konzola'
+            : process.env.OBVESTILA_EMAIL_TRANSPORT || 'konzola';
+
+        transporti[kanal] = ustvariTransport(vrsta);
+    }
+
+    return transporti[kanal];
+}
+
+module.exports = {
+    smtpTransport,
+    smsPrehodTransport,
+    datotekaTransport,
+    konzolaTransport,
+    transportZaKanal
+};
@@ -0,0 +1,239 @@
+// Skupna preverjanja urnika frizerja za predogled, rezervacijo in prestavitev termina.
+// Vse funkcije sprejmejo `db`, ki je lahko pool ali povezava znotraj transakcije.
+
+// Statusi, pri katerih termin zaseda frizerjev čas
+const ZASEDAJOCI_STATUSI = ['Rezervirano', 'V teku'];
+
+// Nastavitve salona (v minutah):
+// - KORAK: termini se lahko začnejo samo ob časih, ki so večkratnik koraka (npr. 09:00, 09:15 ...)
+// - PRIPRAVA_PRED: čas pred vsakim terminom, ko frizer pripravi delovno mesto
+// - CISCENJE_PO: čas po vsakem terminu, ko frizer pospravi
+const KORAK = Number(process.env.KORAK_TERMINOV_MIN) || 15;
+const PRIPRAVA_PRED = Number(process.env.PRIPRAVA_PRED_MIN) || 0;
+const CISCENJE_PO = Number(process.env.CISCENJE_PO_MIN) || 0;
+const ODMIKI = { pred: PRIPRAVA_PRED, po: CISCENJE_PO };
+
+// Preveri, ali frizer izvaja vse izbrane storitve
+async function izvajaStoritve(db, frizer_ID, storitve) {
+    const frizerji = await frizerjiZaStoritve(db, storitve, frizer_ID);
+    return frizerji.length === 1;
+}
+
+// Preveri, ali je celoten termin [ura, ura + trajanje) skupaj s pripravo in čiščenjem znotraj enega delovnika
+async function delaVTerminu(db, frizer_ID, dan, ura, trajanje) {
+    const [rows] = await db.query(`
+        SELECT ID
+        FROM delovnik
+        WHERE Frizerji_id = ?
+          AND Dan = ?
+          AND Zacetek <= SUBTIME(?, SEC_TO_TIME(? * 60))
+          AND Konec >= ADDTIME(?, SEC_TO_TIME(? * 60))`,
+        [frizer_ID, dan, ura, PRIPRAVA_PRED, ura, Number(trajanje) + CISCENJE_PO]
+    );
+
+    return rows.length > 0;
+}
+
+// Preveri, ali ima frizer odsotnost, ki se prekriva z intervalom [ura, ura + trajanje) izbranega dne
+async function odsotenVTerminu(db, frizer_ID, dan, ura, trajanje) {
+    const [rows] = await db.query(`
+        SELECT ID
+        FROM odsotnosti
+        WHERE Frizerji_id = ?
+          AND Dan = ?
+          AND Zacetek < ADDTIME(?, SEC_TO_TIME(? * 60))
+          AND Konec > ?`,
+        [frizer_ID, dan, ura, trajanje, ura]
+    );
+
+    return rows.length > 0;
+}
+
+// Vrne ID-je terminov frizerja, ki se prekrivajo z intervalom [cas_termina, cas_termina + trajanje).
+// Trajanje obstoječih terminov je vsota trajanj storitev ob rezervaciji.
+// Med dvema terminoma mora ostati čas za čiščenje po prvem in pripravo pred drugim,
+// zato se interval na obeh straneh razširi za `odmik` (privzeto PRIPRAVA_PRED + CISCENJE_PO).
+// Z `izkljuciTermin` se pri prestavitvi izloči termin, ki ga prestavljamo.
+// Z `zakleni` se znotraj transakcije izvede zaklepajoče branje, ki vidi tudi pravkar potrjene termine.
+async function prekrivajociTermini(db, frizer_ID, cas_termina, trajanje, {
+    izkljuciTermin = null,
+    zakleni = false,
+    odmik = PRIPRAVA_PRED + CISCENJE_PO
+} = {}) {
+    const [rows] = await db.query(`
+        SELECT t.ID
+        FROM termini t
+        JOIN termini_storitve ts ON ts.Termini_id = t.ID
+        WHERE t.Frizerji_id = ?
+          AND t.Status IN (?)
+          AND t.ID <> ?
+          AND t.Cas_termina < DATE_ADD(?, INTERVAL ? MINUTE)
+        GROUP BY t.ID, t.Cas_termina
+        HAVING DATE_ADD(t.Cas_termina, INTERVAL SUM(ts.Trajanje) + ? MINUTE) > ?
+        ${zakleni ? 'FOR UPDATE' : ''}`,
+        [frizer_ID, ZASEDAJOCI_STATUSI, izkljuciTermin ?? 0, cas_termina, Number(trajanje) + odmik, odmik, cas_termina]
+    );
+
+    return rows.map(row => row.ID);
+}
+
+// Zaklene delovnike frizerja za izbrani dan do konca transakcije.
+// Rezervacije in prestavitve k istemu frizerju na isti dan se zato izvedejo ena za drugo:
+// druga transakcija počaka na zaklep in nato pri preverjanju zasedenosti vidi prvi termin.
+async function zakleniDan(db, frizer_ID, dan) {
+    await db.query(`
+        SELECT ID
+        FROM delovnik
+        WHERE Frizerji_id = ? AND Dan = ?
+        FOR UPDATE`,
+        [frizer_ID, dan]
+    );
+}
+
+// Ali je napaka posledica sočasnega zaklepanja (deadlock ali potekel čas čakanja na zaklep)
+function jeNapakaZaklepa(err) {
+    return err.code === 'ER_LOCK_DEADLOCK' || err.code === 'ER_LOCK_WAIT_TIMEOUT';
+}
+
+// Vrne frizerje, ki izvajajo vse izbrane storitve (po želji samo izbranega frizerja).
+// Neaktivnih in arhiviranih storitev ni mogoče rezervirati, zato zanje ne vrne nobenega frizerja.
+// Deaktivirani frizerji niso vrnjeni.
+async function frizerjiZaStoritve(db, storitve, frizer_ID = null) {
+    const [rows] = await db.query(`
+        SELECT f.ID, f.Ime, f.Priimek
+        FROM frizerji f
+        JOIN specializacija sp ON sp.Frizerji_id = f.ID
+        JOIN storitve s ON s.ID = sp.Storitve_id
+        WHERE s.ID IN (?)
+          AND s.Aktivna = TRUE
+          AND s.Arhivirano IS NULL
+          AND f.Aktiven = TRUE
+          AND (? IS NULL OR f.ID = ?)
+        GROUP BY f.ID, f.Ime, f.Priimek
+        HAVING COUNT(DISTINCT s.ID) = ?
+        ORDER BY f.ID`,
+        [storitve, frizer_ID, frizer_ID, new Set(storitve).size]
+    );
+
+    return rows;
+}
+
+// Cene in trajanja izbranih storitev pri frizerjih.
+// Frizer lahko storitvi nastavi svojo ceno in trajanje (prilagoditve_storitev), sicer veljajo vrednosti iz kataloga.
+// Vrne Map s ključem frizer_ID in vrednostjo { storitve, trajanje, cena }; neobstoječe storitve v seznamu manjkajo.
+async function storitveFrizerjev(db, frizerji, storitve) {
+    const rezultat = new Map(frizerji.map(ID => [Number(ID), { storitve: [], trajanje: 0, cena: 0 }]));
+
+    if (frizerji.length === 0) return rezultat;
+
+    const [rows] = await db.query(`
+        SELECT
+            f.ID AS frizer_ID,
+            s.ID,
+            s.Ime,
+            COALESCE(p.Cena, s.Cena) AS Cena,
+            COALESCE(p.Trajanje, s.Trajanje) AS Trajanje
+        FROM frizerji f
+        JOIN storitve s ON s.ID IN (?)
+        LEFT JOIN prilagoditve_storitev p ON p.Frizerji_id = f.ID AND p.Storitve_id = s.ID
+        WHERE f.ID IN (?)
+        ORDER BY f.ID, s.ID`,
+        [storitve, frizerji]
+    );
+
+    for (const row of rows) {
+        const frizer = rezultat.get(row.frizer_ID);
+        frizer.storitve.push({ ID: row.ID, Ime: row.Ime, Cena: Number(row.Cena), Trajanje: Number(row.Trajanje) });
+        frizer.trajanje += Number(row.Trajanje);
+        frizer.cena += Number(row.Cena);
+    }
+
+    return rezultat;
+}
+
+// Cene in trajanja izbranih storitev pri enem frizerju (glej storitveFrizerjev)
+async function storitveFrizerja(db, frizer_ID, storitve) {
+    const rezultat = await storitveFrizerjev(db, [frizer_ID], storitve);
+    return rezultat.get(Number(frizer_ID));
+}
+
+// Pridobi delovnike, zasedene termine in odsotnosti izbranih frizerjev v obdobju [od, do] s tremi poizvedbami.
+// Vrne Map s ključem `${frizer_ID}|${dan}` in vrednostjo { delovnik, zasedeno },
+// kjer `zasedeno` združuje termine in odsotnosti v obliki, ki jo pričakuje utils.izracunajProsteBloke.
+// Termini so razširjeni za čas priprave pred in čiščenja po terminu (glej utils.razpolozljiviBloki).
+// Dnevi brez delovnika v Map niso vključeni.
+async function urnikObdobja(db, frizerji, od, doDne) {
+    const dnevi = new Map();
+
+    if (frizerji.length === 0) return dnevi;
+
+    const [delovniki] = await db.query(`
+        SELECT Frizerji_id, DATE_FORMAT(Dan, '%Y-%m-%d') AS dan, Zacetek, Konec
+        FROM delovnik
+        WHERE Frizerji_id IN (?) AND Dan BETWEEN ? AND ?
+        ORDER BY Zacetek`,
+        [frizerji, od, doDne]
+    );
+
+    const [termini] = await db.query(`
+        SELECT
+            t.Frizerji_id,
+            DATE_FORMAT(t.Cas_termina, '%Y-%m-%d') AS dan,
+            SUBTIME(
+                TIME(t.Cas_termina),
+                SEC_TO_TIME(? * 60)
+            ) AS zacetek,
+            ADDTIME(
+                TIME(t.Cas_termina),
+                SEC_TO_TIME((SUM(ts.Trajanje) + ?) * 60)
+            ) AS konec
+        FROM termini t
+        JOIN termini_storitve ts ON t.ID = ts.Termini_id
+        WHERE t.Frizerji_id IN (?)
+          AND t.Cas_termina >= ?
+          AND t.Cas_termina < DATE_ADD(?, INTERVAL 1 DAY)
+          AND t.Status IN (?)
+        GROUP BY t.ID, t.Frizerji_id, t.Cas_termina`,
+        [PRIPRAVA_PRED, CISCENJE_PO, frizerji, od, doDne, ZASEDAJOCI_STATUSI]
+    );
+
+    const [odsotnosti] = await db.query(`
+        SELECT Frizerji_id, DATE_FORMAT(Dan, '%Y-%m-%d') AS dan, Zacetek AS zacetek, Konec AS konec
+        FROM odsotnosti
+        WHERE Frizerji_id IN (?) AND Dan BETWEEN ? AND ?`,
+        [frizerji, od, doDne]
+    );
+
+    for (const d of delovniki) {
+        const kljuc = `${d.Frizerji_id}|${d.dan}`;
+        if (!dnevi.has(kljuc)) {
+            dnevi.set(kljuc, { delovnik: [], zasedeno: [] });
+        }
+        dnevi.get(kljuc).delovnik.push({ Zacetek: d.Zacetek, Konec: d.Konec });
+    }
+
+    for (const z of [...termini, ...odsotnosti]) {
+        const dan = dnevi.get(`${z.Frizerji_id}|${z.dan}`);
+        if (dan) {
+            dan.zasedeno.push({ zacetek: z.zacetek, konec: z.konec });
+        }
+    }
+
+    return dnevi;
+}
+
+module.exports = {
+    ZASEDAJOCI_STATUSI,
+    KORAK,
+    ODMIKI,
+    izvajaStoritve,
+    delaVTerminu,
+    odsotenVTerminu,
+    prekrivajociTermini,
+    frizerjiZaStoritve,
+    storitveFrizerjev,
+    storitveFrizerja,
+    urnikObdobja,
+    zakleniDan,
+    jeNapakaZaklepa
+};
@@ -28,6 +28,59 @@ async function frizerObstaja(Uporabnisko_ime_friz) {
     }
 }
 
+const DOVOLJENI_SPOLI = ['Moški', 'Ženski'];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Preveri osebne podatke uporabnika ali frizerja (registracija in urejanje profila).
+// Preverijo se samo podana polja. Vrne sporočilo napake ali null.
+function preveriOsebnePodatke({ Spol, Starost, Mail }) {
+    if (Spol !== undefined && !DOVOLJENI_SPOLI.includes(Spol)) {
+        return 'Neveljavna vrednost za spol.';
+    }
+
+    if (Starost !== undefined) {
+        const StarostNum = Number(Starost);
+        if (!Number.isInteger(StarostNum) || StarostNum < 0 || StarostNum > 100) {
+            return 'Starost mora biti veljavna številka.';
+        }
+    }
+
+    if (Mail !== undefined && !EMAIL_REGEX.test(Mail)) {
+        return 'Neveljaven email naslov.';
+    }
+
+    return null;
+}
+
+// Spremembe profila iz telesa zahteve. Upošteva samo `polja`, ki so podana, in jih preveri
+// z enakimi pravili kot registracija. Vrne { napaka } ali { spremembe }.
+function preveriProfil(podatki, polja) {
+    const spremembe = {};
+
+    for (const polje of polja) {
+        const vrednost = podatki[polje];
+        if (vrednost === undefined) continue;
+
+        if (polje === 'Starost') {
+            if (vrednost === null || vrednost === '') {
+                return { napaka: 'Starost mora biti veljavna številka.' };
+            }
+            spremembe.Starost = Number(vrednost);
+        } else if (typeof vrednost !== 'string' || !vrednost.trim()) {
+            return { napaka: `Polje ${polje} ne sme biti prazno.` };
+        } else {
+            spremembe[polje] = vrednost;
+        }
+    }
+
+    if (Object.keys(spremembe).length === 0) {
+        return { napaka: 'Ni podatkov za posodobitev.' };
+    }
+
+    const napaka = preveriOsebnePodatke({ ...spremembe, Starost: podatki.Starost });
+    return napaka ? { napaka } : { spremembe };
+}
+
 function createSlug(naziv) {
     return naziv
         .toLowerCase()
@@ -44,8 +97,8 @@ async function resolveStoritev(req, res, next) {
     try {
         const { naziv } = req.params;
     
-        // dovolimo: ena ali več številk + "-" + ena ali več besed iz malih črk (in dodatni "-")
-        const match = naziv.match(/^(\d+)-([a-z]+(?:-[a-z]+)*)$/i);
+        // dovolimo: ena ali več številk + "-" + ena ali več besed iz malih črk in številk (in dodatni "-")
+        const match = naziv.match(/^(\d+)-([a-z0-9]+(?:-[a-z0-9]+)*)$/i);
     
         if (!match) {
             return res.status(400).json({
@@ -108,15 +161,190 @@ function izracunajProsteBloke(delovniCas, rezervacije) {
     return bloki;
 }
 
-function razpolozljiviBloki(bloki, trajanje) {
+// Pred vsakim terminom je lahko čas za pripravo (pred), po njem pa čas za čiščenje (po).
+// Oba morata biti znotraj prostega bloka, zato se začetek premakne za `pred`, konec pa za `trajanje + po`.
+function razpolozljiviBloki(bloki, trajanje, { pred = 0, po = 0 } = {}) {
     return bloki
-        .filter(b => (b.end - b.start) >= trajanje)
+        .filter(b => (b.end - b.start) >= pred + trajanje + po)
         .map(b => ({
-            od: minuteVCas(b.start),
-            do: minuteVCas(b.end - trajanje)
+            od: minuteVCas(b.start + pred),
+            do: minuteVCas(b.end - trajanje - po)
         }));
 }
 
+// Diskretni začetni časi znotraj razpoložljivih blokov, poravnani na korak (npr. 09:00, 09:15, 09:30 ...)
+function zacetniCasi(razpolozljivi, korak) {
+    const casi = [];
+
+    for (const blok of razpolozljivi) {
+        const od = casVMinute(blok.od);
+        const doMin = casVMinute(blok.do);
+
+        for (let cas = Math.ceil(od / korak) * korak; cas <= doMin; cas += korak) {
+            casi.push(minuteVCas(cas));
+        }
+    }
+
+    return casi;
+}
+
+// Ali je ura (HH:mm) poravnana na korak v minutah
+function naMrezi(ura, korak) {
+    return casVMinute(ura) % korak === 0;
+}
+
+// Datumi so nizi v obliki YYYY-MM-DD, računamo v UTC, da se izognemo premikom zaradi časovnega pasu
+function veljavenDatum(dan) {
+    if (typeof dan !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dan)) return false;
+    const datum = new Date(`${dan}T00:00:00Z`);
+    return !isNaN(datum) && datum.toISOString().slice(0, 10) === dan;
+}
+
+function dodajDni(dan, dni) {
+    const datum = new Date(`${dan}T00:00:00Z`);
+    datum.setUTCDate(datum.getUTCDate() + dni);
+    return datum.toISOString().slice(0, 10);
+}
+
+// ID-ji storitev iz zahteve brez ponovitev (npr. [3, 3] -> [3]).
+// Vrne null, če seznam ni neprazen seznam pozitivnih celih števil.
+function seznamStoritev(storitve) {
+    if (!Array.isArray(storitve) || storitve.length === 0) return null;
+
+    const ids = storitve.map(Number);
+    if (!ids.every(id => Number.isInteger(id) && id > 0)) return null;
+
+    return [...new Set(ids)];
+}
+
+// 1 = ponedeljek, ..., 7 = nedelja
+function danVTednu(dan) {
+    const d = new Date(`${dan}T00:00:00Z`).getUTCDay();
+    return d === 0 ? 7 : d;
+}
+
+// Pridobi termine skupaj s frizerjem, stranko in storitvami.
+// Vrstice (termin x storitev) združi v en objekt na termin s skupnim trajanjem, ceno in koncem termina.
+// Cena in trajanje sta vrednosti ob rezervaciji (termini_storitve), ne trenutne vrednosti iz kataloga.
+// Prihodnji rezervirani termini, katerih trajanje se ne ujema več s trenutnim trajanjem pri frizerju
+// (prilagoditev frizerja ali katalog), imajo `neusklajeno_trajanje`.
+// Pogoj je WHERE del poizvedbe nad aliasi t (termini), f (frizerji), u (uporabniki) in s (storitve).
+// Znotraj transakcije podamo povezavo `db`, da so vidne še neshranjene spremembe.
+async function pridobiTermine(pogoj, parametri, db = pool) {
+    const [rows] = await db.query(`
+        SELECT
+         t.ID AS termin_ID,
+         t.Cas_termina,
+         t.Opombe,
+         t.Status,
+         t.Pozen_preklic,
+         t.Razlog_preklica,
+         t.Preklical,
+         t.Verzija,
+         t.Posodobljeno,
+         f.ID AS frizer_ID,
+         f.Ime,
+         f.Priimek,
+         u.ID AS uporabnik_ID,
+         u.Ime AS uporabnik_ime,
+         u.Priimek AS uporabnik_priimek,
+         u.Mail AS uporabnik_mail,
+         u.Telefon AS uporabnik_telefon,
+         s.ID AS storitev_ID,
+         s.Ime AS storitev,
+         ts.Cena,
+         ts.Trajanje,
+         COALESCE(p.Trajanje, s.Trajanje) AS Trajanje_katalog,
+         s.Rok_preklica_ur
+        FROM termini t
+        JOIN frizerji f ON f.ID = t.Frizerji_id
+        JOIN uporabniki u ON u.ID = t.Uporabniki_id
+        JOIN termini_storitve ts ON ts.Termini_id = t.ID
+        JOIN storitve s ON s.ID = ts.Storitve_id
+        LEFT JOIN prilagoditve_storitev p ON p.Frizerji_id = t.Frizerji_id AND p.Storitve_id = s.ID
+        WHERE ${pogoj}
+        ORDER BY t.Cas_termina ASC, t.ID ASC`,
+        parametri);
+
+    // Map ohrani vrstni red vstavljanja, torej vrstni red po času termina
+    const terminiMap = new Map();
+
+    for (const row of rows) {
+        if (!terminiMap.has(row.termin_ID)) {
+            terminiMap.set(row.termin_ID, {
+                termin_ID: row.termin_ID,
+                frizer_ID: row.frizer_ID,
+                frizer: `${row.Ime} ${row.Priimek}`,
+                stranka: {
+                    id: row.uporabnik_ID,
+                    osebno_ime: `${row.uporabnik_ime} ${row.uporabnik_priimek}`,
+                    mail: row.uporabnik_mail,
+                    telefon: row.uporabnik_telefon
+                },
+                storitve: [],
+                zacetek_termina: row.Cas_termina,
+                skupno_trajanje: 0,
+                skupna_cena: 0,
+                neusklajeno_trajanje: false,
+                opombe: row.Opombe,
+                status: row.Status,
+                pozen_preklic: Boolean(row.Pozen_preklic),
+                razlog_preklica: row.Razlog_preklica,
+                preklical: row.Preklical,
+                verzija: row.Verzija,
+                posodobljeno: row.Posodobljeno,
+            });
+        }
+
+        const termin = terminiMap.get(row.termin_ID);
+
+        termin.storitve.push({
+            id: row.storitev_ID,
+            naziv: row.storitev,
+            trajanje: Number(row.Trajanje),
+            cena: Number(row.Cena),
+            trajanje_v_katalogu: Number(row.Trajanje_katalog),
+            rok_preklica_ur: row.Rok_preklica_ur === null ? null : Number(row.Rok_preklica_ur),
+        });
+
+        termin.skupno_trajanje += Number(row.Trajanje);
+        termin.skupna_cena += Number(row.Cena);
+
+        if (Number(row.Trajanje) !== Number(row.Trajanje_katalog)
+            && row.Status === 'Rezervirano'
+            && new Date(row.Cas_termina) > new Date()) {
+            termin.neusklajeno_trajanje = true;
+        }
+    }
+
+    const termini = [...terminiMap.values()].map(t => {
+        const konec = new Date(t.zacetek_termina);
+        konec.setMinutes(konec.getMinutes() + t.skupno_trajanje);
+
+        return {
+            termin_ID: t.termin_ID,
+            frizer_ID: t.frizer_ID,
+            frizer: t.frizer,
+            stranka: t.stranka,
+            storitve: t.storitve,
+            zacetek_termina: t.zacetek_termina,
+            konec_termina: konec,
+            skupno_trajanje: t.skupno_trajanje,
+            skupna_cena: t.skupna_cena,
+            neusklajeno_trajanje: t.neusklajeno_trajanje,
+            opombe: t.opombe,
+            status: t.status,
+            pozen_preklic: t.pozen_preklic,
+            razlog_preklica: t.razlog_preklica,
+            preklical: t.preklical,
+            verzija: t.verzija,
+            posodobljeno: t.posodobljeno
+        };
+    });
+
+    return termini;
+}
+
 /**
  * urlVira(reqOrPath, optionalPath)
  * - če je prvi argument objekt req, sestavi URL iz req
@@ -156,9 +384,20 @@ function urlVira(reqOrPath, optionalPath) {
 module.exports = {
     uporabnikObstaja,
     frizerObstaja,
+    preveriOsebnePodatke,
+    preveriProfil,
     createSlug,
     resolveStoritev,
+    casVMinute,
+    minuteVCas,
     izracunajProsteBloke,
     razpolozljiviBloki,
+    zacetniCasi,
+    naMrezi,
+    veljavenDatum,
+    dodajDni,
+    danVTednu,
+    seznamStoritev,
+    pridobiTermine,
     urlVira
 };
\ No newline at end of file
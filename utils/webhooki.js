@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const pool = require('./db.js');
+const utils = require('./utils.js');
+
+// Webhooki za dogodke terminov.
+// Endpointi dogodek samo zabeležijo (sprozi) v tabelo `webhook_dostave` za vsak aktiven webhook, ki je naročen nanj,
+// razporejevalnik pa dostave pošilja v ozadju (dostaviWebhooke).
+//
+// Vsaka dostava je POST z JSON telesom { id, dogodek, cas, podatki } in glavami:
+// - X-Salon-Dogodek: ime dogodka
+// - X-Salon-Dostava: ID dostave (pri ponovitvi ostane enak, prejemnik ga lahko uporabi za izločanje podvojenih)
+// - X-Salon-Cas: čas pošiljanja (unix sekunde)
+// - X-Salon-Podpis: sha256=<hex HMAC-SHA256 niza "<X-Salon-Cas>.<telo>" s skrivnostjo webhooka>
+//
+// Nastavitve:
+// - WEBHOOKI_INTERVAL_MIN: kako pogosto se pošiljajo dostave
+// - WEBHOOKI_MAX_POSKUSOV: največ poskusov dostave
+// - WEBHOOKI_ZAMIK_MIN: zamik pred prvim ponovnim poskusom, vsak naslednji se podvoji
+// - WEBHOOKI_TIMEOUT_MS: najdaljši čas čakanja na odgovor prejemnika
+const INTERVAL_MIN = Number(process.env.WEBHOOKI_INTERVAL_MIN ?? 1);
+const MAX_POSKUSOV = Number(process.env.WEBHOOKI_MAX_POSKUSOV ?? 8);
+const ZAMIK_MIN = Number(process.env.WEBHOOKI_ZAMIK_MIN ?? 1);
+const TIMEOUT_MS = Number(process.env.WEBHOOKI_TIMEOUT_MS ?? 10000);
+
+const VELIKOST_PAKETA = 20;
+const ZAKUP_MIN = 5;
+
+const DOGODKI = {
+    TERMIN_USTVARJEN: 'termin.ustvarjen',
+    TERMIN_PRESTAVLJEN: 'termin.prestavljen',
+    TERMIN_PREKLICAN: 'termin.preklican',
+    TERMIN_OPRAVLJEN: 'termin.opravljen'
+};
+
+function ustvariSkrivnost() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function podpis(skrivnost, cas, telo) {
+    return 'sha256=' + crypto.createHmac('sha256', skrivnost).update(`${cas}.${telo}`).digest('hex');
+}
+
+// Zabeleži dogodek za vse aktivne webhooke, ki so naročeni nanj. Vrne število dodanih dostav.
+async function sprozi(db, dogodek, podatki) {
+    const [result] = await db.query(`
+        INSERT INTO webhook_dostave (Webhooki_id, Dogodek, Podatki)
+        SELECT ID, ?, ?
+        FROM webhooki
+        WHERE Aktiven = TRUE
+          AND JSON_CONTAINS(Dogodki, JSON_QUOTE(?))`,
+        [dogodek, JSON.stringify(podatki), dogodek]
+    );
+
+    return result.affectedRows;
+}
+
+// Zabeleži dogodek termina. Podatki termina so enaki kot v /termini/pregled (utils.pridobiTermine).
+async function sproziZaTermin(db, dogodek, termin_ID) {
+    const [termin] = await utils.pridobiTermine('t.ID = ?', [termin_ID], db);
+    if (!termin) return 0;
+
+    return sprozi(db, dogodek, { termin });
+}
+
+// Prevzame dostave, ki so na vrsti. Prevzete dostave se za ZAKUP_MIN minut preložijo,
+// da jih drug proces medtem ne prevzame.
+async function prevzemiDostave() {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [vrstice] = await connection.query(`
+            SELECT d.ID, d.Dogodek, d.Podatki, d.Poskusi, d.Ustvarjeno, w.Url, w.Skrivnost
+            FROM webhook_dostave d
+            JOIN webhooki w ON w.ID = d.Webhooki_id
+            WHERE d.Stanje = 'Čaka'
+              AND d.Naslednji_poskus <= NOW()
+              AND w.Aktiven = TRUE
+            ORDER BY d.Naslednji_poskus, d.ID
+            LIMIT ?
+            FOR UPDATE OF d SKIP LOCKED`,
+            [VELIKOST_PAKETA]
+        );
+
+        if (vrstice.length > 0) {
+            await connection.query(`
+                UPDATE webhook_dostave
+                SET Naslednji_poskus = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+                WHERE ID IN (?)`,
+                [ZAKUP_MIN, vrstice.map(v => v.ID)]
+            );
+        }
+
+        await connection.commit();
+        return vrstice;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+// Pošlje eno dostavo. Vrne HTTP status odgovora, ob statusu, ki ni 2xx, vrže napako.
+async function poslji(dostava) {
+    const telo = JSON.stringify({
+        id: dostava.ID,
+        dogodek: dostava.Dogodek,
+        cas: dostava.Ustvarjeno,
+        podatki: typeof dostava.Podatki === 'string' ? JSON.parse(dostava.Podatki) : dostava.Podatki
+    });
+    const cas = Math.floor(Date.now() / 1000);
+
+    const odgovor = await fetch(dostava.Url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Salon-Dogodek': dostava.Dogodek,
+            'X-Salon-Dostava': String(dostava.ID),
+            'X-Salon-Cas': String(cas),
+            'X-Salon-Podpis': podpis(dostava.Skrivnost, cas, telo)
+        },
+        body: telo,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    if (!odgovor.ok) {
+        const err = new Error(`Prejemnik je vrnil status ${odgovor.status}.`);
+        err.status = odgovor.status;
+        throw err;
+    }
+
+    return odgovor.status;
+}
+
+async function oznaciDostavljeno(dostava, status) {
+    await pool.query(`
+        UPDATE webhook_dostave
+        SET Stanje = 'Dostavljeno', Dostavljeno = NOW(), Poskusi = ?, Zadnji_status = ?, Napaka = NULL
+        WHERE ID = ?`,
+        [dostava.Poskusi + 1, status, dostava.ID]
+    );
+}
+
+// Zabeleži neuspešen poskus in določi naslednjega (1, 2, 4, 8 ... krat ZAMIK_MIN minut)
+async function oznaciNeuspeh(dostava, err) {
+    const poskusi = dostava.Poskusi + 1;
+
+    await pool.query(`
+        UPDATE webhook_dostave
+        SET Stanje = ?, Poskusi = ?, Zadnji_status = ?, Napaka = ?, Naslednji_poskus = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+        WHERE ID = ?`,
+        [
+            poskusi >= MAX_POSKUSOV ? 'Napaka' : 'Čaka',
+            poskusi,
+            err.status ?? null,
+            String(err.message).slice(0, 500),
+            ZAMIK_MIN * 2 ** (poskusi - 1),
+            dostava.ID
+        ]
+    );
+}
+
+// Pošlje dostave, ki čakajo. Vrne število uspešnih in neuspešnih.
+async function dostaviWebhooke() {
+    const rezultat = { dostavljene: 0, neuspesne: 0 };
+
+    let paket;
+    do {
+        paket = await prevzemiDostave();
+
+        for (const dostava of paket) {
+            try {
+                const status = await poslji(dostava);
+                await oznaciDostavljeno(dostava, status);
+                rezultat.dostavljene++;
+            } catch (err) {
+                console.error(`Dostava webhooka ${dostava.ID} ni uspela:`, err.message);
+                await oznaciNeuspeh(dostava, err);
+                rezultat.neuspesne++;
+            }
+        }
+    } while (paket.length === VELIKOST_PAKETA);
+
+    return rezultat;
+}
+
+// Neuspešne dostave vrne v vrsto za takojšnje pošiljanje s ponovno štetimi poskusi.
+// Pogoj je WHERE del nad aliasom d (webhook_dostave). Vrne število dostav v vrsti.
+async function ponoviDostave(pogoj, parametri) {
+    const [result] = await pool.query(`
+        UPDATE webhook_dostave d
+        SET d.Stanje = 'Čaka', d.Poskusi = 0, d.Naslednji_poskus = NOW()
+        WHERE d.Stanje = 'Napaka' AND ${pogoj}`,
+        parametri
+    );
+
+    return result.affectedRows;
+}
+
+module.exports = {
+    DOGODKI,
+    INTERVAL_MIN,
+    MAX_POSKUSOV,
+    ustvariSkrivnost,
+    podpis,
+    sprozi,
+    sproziZaTermin,
+    dostaviWebhooke,
+    ponoviDostave
+};
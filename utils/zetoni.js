@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Enkratni žetoni, ki jih prejme uporabnik (npr. vabila frizerjev).
+// V bazi je shranjen samo SHA-256 hash žetona, zato vpogled v bazo ne razkrije veljavnih žetonov.
+
+function hashZetona(zeton) {
+    return crypto.createHash('sha256').update(String(zeton)).digest('hex');
+}
+
+// Vrne { zeton, hash }: žeton pošljemo prejemniku, hash shranimo v bazo
+function ustvariZeton() {
+    const zeton = crypto.randomBytes(32).toString('base64url');
+    return { zeton, hash: hashZetona(zeton) };
+}
+
+module.exports = {
+    hashZetona,
+    ustvariZeton
+};